@@ -0,0 +1,90 @@
+// alertRules.js - Evaluates a user's per-ride alert rules against live data
+//
+// A ride preference looks like:
+//   { enabled: true, maxWait: 30, rules: [
+//       { type: 'belowTypical', percent: 30 },   // wait at least 30% below typical for this hour
+//       { type: 'dropBy', minutes: 15 },         // wait fell 15+ minutes since the last refresh
+//       { type: 'lowestRemaining' }              // no lower wait forecast for the rest of the day
+//   ] }
+// The ride is "ready" when any rule (or the classic maxWait threshold) matches.
+// Matches come back as { type, ...numbers }; notificationText.describeReason
+// turns them into text.
+
+const RULE_TYPES = ['belowTypical', 'dropBy', 'lowestRemaining'];
+
+/**
+ * Classic threshold rule. Keeps the original behavior of also matching DOWN
+ * rides so existing users see no change.
+ */
+function checkMaxWait(ride, pref) {
+  if (typeof pref.maxWait !== 'number') return null;
+  if (ride.status !== 'OPERATING' && ride.status !== 'DOWN') return null;
+  if (ride.currentWait > pref.maxWait) return null;
+
+  return { type: 'maxWait', currentWait: ride.currentWait, maxWait: pref.maxWait };
+}
+
+function checkBelowTypical(ride, rule, context) {
+  const { typicalWait } = context;
+  if (!typicalWait || typeof rule.percent !== 'number') return null;
+
+  const percentBelow = Math.round(((typicalWait - ride.currentWait) / typicalWait) * 100);
+  if (percentBelow < rule.percent) return null;
+
+  return { type: 'belowTypical', currentWait: ride.currentWait, percentBelow, typicalWait };
+}
+
+function checkDropBy(ride, rule, context) {
+  const { previousWait } = context;
+  if (typeof previousWait !== 'number' || typeof rule.minutes !== 'number') return null;
+
+  const drop = previousWait - ride.currentWait;
+  if (drop < rule.minutes) return null;
+
+  return { type: 'dropBy', previousWait, currentWait: ride.currentWait };
+}
+
+function checkLowestRemaining(ride, rule, context) {
+  const { remainingForecast } = context;
+  if (!remainingForecast || remainingForecast.length === 0) return null;
+
+  const lowestAhead = Math.min(...remainingForecast.map(f => f.waitTime));
+  if (ride.currentWait > lowestAhead) return null;
+
+  return { type: 'lowestRemaining', currentWait: ride.currentWait };
+}
+
+const CHECKS = {
+  belowTypical: checkBelowTypical,
+  dropBy: checkDropBy,
+  lowestRemaining: checkLowestRemaining
+};
+
+/**
+ * Evaluate one ride against one preference.
+ * `context` carries { typicalWait, previousWait, remainingForecast }.
+ * Returns the matches (empty when not ready).
+ */
+function evaluate(ride, pref, context = {}) {
+  if (!pref || !pref.enabled) return [];
+
+  const matches = [];
+  const maxWaitMatch = checkMaxWait(ride, pref);
+  if (maxWaitMatch) matches.push(maxWaitMatch);
+
+  // Relative rules only make sense while the ride is actually running
+  if (ride.status === 'OPERATING' && Array.isArray(pref.rules)) {
+    pref.rules.forEach(rule => {
+      const check = CHECKS[rule?.type];
+      const match = check && check(ride, rule, context);
+      if (match) matches.push(match);
+    });
+  }
+
+  return matches;
+}
+
+module.exports = {
+  RULE_TYPES,
+  evaluate
+};
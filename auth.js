@@ -0,0 +1,189 @@
+// auth.js - Device tokens, Firebase ID tokens and per-user route guards
+const crypto = require('crypto');
+const { userStore, COLLECTIONS } = require('./userStore');
+
+const DEVICE_TOKEN_PREFIX = 'dt1';
+const ALLOW_LEGACY = process.env.AUTH_ALLOW_LEGACY === 'true';
+const FIREBASE_AUTH_ENABLED = process.env.AUTH_FIREBASE === 'true';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+  // Tokens signed with a throwaway secret stop working on the next restart,
+  // which would lock every installed app out of its account
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('AUTH_SECRET must be set in production');
+  }
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️  AUTH_SECRET is not set; device tokens will be invalid after a restart');
+}
+
+/**
+ * Helper: HMAC-SHA256 signature of a token payload, base64url encoded
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Issue a device token: "dt1.<payload>.<signature>" where the payload is
+ * base64url JSON { sub: userId, iat: seconds }
+ */
+function issueDeviceToken(userId) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: userId,
+    iat: Math.floor(Date.now() / 1000)
+  })).toString('base64url');
+  return `${DEVICE_TOKEN_PREFIX}.${payload}.${sign(`${DEVICE_TOKEN_PREFIX}.${payload}`)}`;
+}
+
+/**
+ * Check a device token's signature and return its user id, or null
+ */
+function verifyDeviceToken(token) {
+  const [prefix, payload, signature] = token.split('.');
+  if (prefix !== DEVICE_TOKEN_PREFIX || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${prefix}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { sub } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return typeof sub === 'string' ? sub : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a Firebase ID token and make sure the uid has an account record
+ */
+async function verifyFirebaseToken(token) {
+  // Required lazily so installs without Firebase never load the SDK
+  const { getFirebaseApp } = require('./firebaseAdmin');
+  const decoded = await getFirebaseApp().auth().verifyIdToken(token);
+
+  const account = await userStore.get(COLLECTIONS.accounts, decoded.uid);
+  if (!account) {
+    await userStore.set(COLLECTIONS.accounts, decoded.uid, {
+      provider: 'firebase',
+      createdAt: new Date().toISOString()
+    });
+  }
+  return decoded.uid;
+}
+
+/**
+ * Create an account for a new anonymous device. `claimUserId` lets installs
+ * from before auth keep their existing user id, but only while legacy access
+ * is allowed and nobody has registered that id yet.
+ */
+async function registerDevice(claimUserId) {
+  let userId = crypto.randomUUID();
+
+  if (claimUserId) {
+    if (!ALLOW_LEGACY) {
+      const error = new Error('Claiming an existing user id is disabled');
+      error.status = 403;
+      throw error;
+    }
+    if (await userStore.get(COLLECTIONS.accounts, claimUserId)) {
+      const error = new Error('User id is already registered');
+      error.status = 409;
+      throw error;
+    }
+    userId = claimUserId;
+  }
+
+  await userStore.set(COLLECTIONS.accounts, userId, {
+    provider: 'device',
+    createdAt: new Date().toISOString()
+  });
+
+  return { userId, token: issueDeviceToken(userId) };
+}
+
+/**
+ * Middleware: bind the request to the user in its bearer token (req.user).
+ * Requests without a valid token pass through unauthenticated, so public
+ * routes and re-registering keep working with a stale token; a bad token
+ * sets req.authFailed for `requireSelf` to reject.
+ */
+async function authenticate(req, res, next) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) return next();
+
+  try {
+    if (token.startsWith(`${DEVICE_TOKEN_PREFIX}.`)) {
+      const userId = verifyDeviceToken(token);
+      if (userId && await userStore.get(COLLECTIONS.accounts, userId)) {
+        req.user = { id: userId, provider: 'device' };
+      }
+    } else if (FIREBASE_AUTH_ENABLED) {
+      req.user = { id: await verifyFirebaseToken(token), provider: 'firebase' };
+    }
+  } catch (error) {
+    console.error('Error verifying auth token:', error.message);
+  }
+
+  if (!req.user) req.authFailed = true;
+  next();
+}
+
+/**
+ * Middleware: only the owner of :userId may use the route. With
+ * AUTH_ALLOW_LEGACY=true, user ids nobody has registered yet stay open to
+ * requests without a token, so app builds from before auth keep working
+ * during the rollout.
+ */
+async function requireSelf(req, res, next) {
+  if (req.authFailed) {
+    return res.status(401).json({ error: 'Invalid or expired auth token' });
+  }
+  if (!req.user) {
+    try {
+      if (ALLOW_LEGACY && !(await userStore.get(COLLECTIONS.accounts, req.params.userId))) {
+        return next();
+      }
+    } catch (error) {
+      console.error('Error checking account:', error);
+      return res.status(500).json({ error: 'Failed to check account' });
+    }
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.id !== req.params.userId) {
+    return res.status(403).json({ error: 'Not allowed to access this user' });
+  }
+  next();
+}
+
+/**
+ * Middleware: operator-only routes need an X-Admin-Key header matching
+ * ADMIN_API_KEY. Without a configured key they are closed to everyone.
+ */
+function requireAdmin(req, res, next) {
+  const key = req.get('X-Admin-Key');
+  if (!key) {
+    return res.status(401).json({ error: 'Admin key required' });
+  }
+
+  // Compare fixed-length digests so the check takes the same time for any key
+  const expected = crypto.createHash('sha256').update(ADMIN_API_KEY || '').digest();
+  const actual = crypto.createHash('sha256').update(key).digest();
+  if (!ADMIN_API_KEY || !crypto.timingSafeEqual(expected, actual)) {
+    console.warn(`🚫 Rejected admin request to ${req.method} ${req.path} from ${req.ip}`);
+    return res.status(403).json({ error: 'Invalid admin key' });
+  }
+  next();
+}
+
+module.exports = {
+  issueDeviceToken,
+  verifyDeviceToken,
+  registerDevice,
+  authenticate,
+  requireSelf,
+  requireAdmin
+};
@@ -0,0 +1,34 @@
+// dataDir.js - Where the file-backed stores (history, forecasts, downtime, push
+// deliveries) keep their data
+//
+// Everything goes under DATA_DIR (default ./data) unless a store's own path
+// variable says otherwise. The directory has to survive restarts: wait
+// history rolls up into hourly aggregates that are kept forever, and the
+// forecasts and reliability numbers are built from them.
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+
+/**
+ * Path of a file or directory under DATA_DIR
+ */
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * Warn at startup when the data directory is on a disk that is wiped on
+ * restart. Heroku dynos (DYNO is set) have such a disk, and each dyno has its
+ * own, so the history only holds on a mounted persistent volume.
+ */
+function checkDataDir() {
+  if (process.env.DYNO && !process.env.DATA_DIR) {
+    console.warn(`⚠️  DATA_DIR is not set; history in ${path.resolve(DATA_DIR)} is lost on every dyno restart`);
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  checkDataDir
+};
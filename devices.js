@@ -0,0 +1,103 @@
+// devices.js - A user's registered devices and their push tokens
+//
+// Stored per user in COLLECTIONS.devices:
+//   { deviceId: { token, platform, appVersion, registeredAt, lastSeen } }
+const { Expo } = require('expo-server-sdk');
+const { userStore, COLLECTIONS } = require('./userStore');
+
+// Device id given to the single token each user had before multi-device support
+const LEGACY_DEVICE_ID = 'legacy';
+
+/**
+ * Whether a user has at least one device with a valid push token
+ */
+function hasPushDevice(userDevices = {}) {
+  return Object.values(userDevices).some(device => Expo.isExpoPushToken(device.token));
+}
+
+/**
+ * Fan each message out to every device of its user. Messages carry `userId`;
+ * the copies also get `deviceId` and `to`.
+ */
+async function fanOut(messages) {
+  if (messages.length === 0) return [];
+
+  const allDevices = await userStore.list(COLLECTIONS.devices);
+  return messages.flatMap(message =>
+    Object.entries(allDevices[message.userId] || {})
+      .filter(([, device]) => Expo.isExpoPushToken(device.token))
+      .map(([deviceId, device]) => ({ ...message, deviceId, to: device.token }))
+  );
+}
+
+/**
+ * Remove one device. Ready-ride state goes with the user's last device.
+ * Returns whether the device existed.
+ */
+async function removeDevice(userId, deviceId) {
+  let found = false;
+  let remaining = 0;
+  await userStore.update(COLLECTIONS.devices, userId, (devices) => {
+    if (!devices?.[deviceId]) return devices;
+    found = true;
+    delete devices[deviceId];
+    remaining = Object.keys(devices).length;
+    return remaining > 0 ? devices : undefined;
+  });
+
+  if (found && remaining === 0) {
+    await userStore.remove(COLLECTIONS.notifiedRides, userId);
+  }
+  return found;
+}
+
+/**
+ * Remove every device using `token`, except on `keepUserId` (used when a
+ * token moves to another account, and when Expo reports it unregistered)
+ */
+async function removeDevicesWithToken(token, keepUserId = null) {
+  const allDevices = await userStore.list(COLLECTIONS.devices);
+  for (const [userId, devices] of Object.entries(allDevices)) {
+    if (userId === keepUserId) continue;
+    for (const [deviceId, device] of Object.entries(devices)) {
+      if (device.token === token) {
+        await removeDevice(userId, deviceId);
+        console.log(`Removed device ${deviceId} for user ${userId}`);
+      }
+    }
+  }
+}
+
+/**
+ * Move single tokens from the old deviceTokens collection into devices
+ */
+async function migrateLegacyTokens() {
+  const legacyTokens = await userStore.list(COLLECTIONS.deviceTokens);
+  const userIds = Object.keys(legacyTokens);
+  if (userIds.length === 0) return;
+
+  for (const userId of userIds) {
+    await userStore.update(COLLECTIONS.devices, userId, (devices = {}) => {
+      if (!Object.values(devices).some(device => device.token === legacyTokens[userId])) {
+        devices[LEGACY_DEVICE_ID] = {
+          token: legacyTokens[userId],
+          platform: null,
+          appVersion: null,
+          registeredAt: new Date().toISOString(),
+          lastSeen: null
+        };
+      }
+      return devices;
+    });
+    await userStore.remove(COLLECTIONS.deviceTokens, userId);
+  }
+  console.log(`📱 Migrated ${userIds.length} push tokens to multi-device records`);
+}
+
+module.exports = {
+  hasPushDevice,
+  fanOut,
+  removeDevice,
+  removeDevicesWithToken,
+  migrateLegacyTokens
+};
@@ -0,0 +1,215 @@
+// downtimeTracker.js - Detects ride breakdowns across refreshes and keeps an outage log
+const fs = require('fs').promises;
+const path = require('path');
+const waitHistory = require('./waitHistory');
+const { getLocalParts } = require('./parkTime');
+const parkRegistry = require('./parkRegistry');
+const { dataPath } = require('./dataDir');
+
+const LOG_RETENTION_DAYS = 45;
+const RELIABILITY_WINDOW_DAYS = 30;
+
+/**
+ * Helper: Whole minutes between two timestamps
+ */
+function minutesBetween(start, end) {
+  return Math.round((new Date(end).getTime() - new Date(start).getTime()) / 60000);
+}
+
+/**
+ * Compares each refresh with the previous one. An OPERATING → DOWN flip opens
+ * an outage; the next flip away from DOWN closes it and moves it to the log.
+ */
+class DowntimeTracker {
+  constructor(filePath = process.env.DOWNTIME_PATH || dataPath('downtime.json')) {
+    this.filePath = filePath;
+    this.lastStatus = {}; // { parkId: { rideId: status } }
+    this.openOutages = {}; // { parkId: { rideId: { rideId, rideName, start } } }
+    this.log = []; // [{ parkId, rideId, rideName, start, end, durationMinutes, endStatus }]
+    this.lastOperating = {}; // { parkId: { rideId: timestamp the ride last stopped operating } }
+  }
+
+  async init() {
+    try {
+      const fileData = await fs.readFile(this.filePath, 'utf8');
+      const data = JSON.parse(fileData);
+      this.lastStatus = data.lastStatus || {};
+      this.openOutages = data.openOutages || {};
+      this.log = data.log || [];
+      this.lastOperating = data.lastOperating || {};
+      console.log('📂 Loaded downtime log from file');
+    } catch (error) {
+      console.log('📂 No downtime log file found, starting empty');
+    }
+  }
+
+  /**
+   * Record one refresh of a park. Returns the status transitions seen, each
+   * with `lastOperatingAt` (when the ride was last seen OPERATING before it).
+   */
+  async observe(parkId, lands, timestamp = new Date().toISOString()) {
+    const previous = this.lastStatus[parkId] || {};
+    const current = {};
+    const open = this.openOutages[parkId] || (this.openOutages[parkId] = {});
+    const lastOperating = this.lastOperating[parkId] || (this.lastOperating[parkId] = {});
+    const transitions = [];
+
+    Object.values(lands).forEach(landRides => {
+      landRides.forEach(ride => {
+        current[ride.id] = ride.status;
+        const before = previous[ride.id];
+        if (!before || before === ride.status) return;
+
+        transitions.push({
+          parkId,
+          rideId: ride.id,
+          rideName: ride.name,
+          from: before,
+          to: ride.status,
+          at: timestamp,
+          lastOperatingAt: before === 'OPERATING' ? timestamp : lastOperating[ride.id] || null
+        });
+
+        if (before === 'OPERATING') {
+          lastOperating[ride.id] = timestamp;
+        }
+
+        if (before === 'OPERATING' && ride.status === 'DOWN') {
+          open[ride.id] = { rideId: ride.id, rideName: ride.name, start: timestamp };
+          console.log(`🔧 ${ride.name} went down`);
+        } else if (before === 'DOWN' && open[ride.id]) {
+          const outage = open[ride.id];
+          delete open[ride.id];
+          this.log.push({
+            parkId,
+            rideId: ride.id,
+            rideName: outage.rideName,
+            start: outage.start,
+            end: timestamp,
+            durationMinutes: minutesBetween(outage.start, timestamp),
+            endStatus: ride.status
+          });
+          console.log(`✅ ${ride.name} back from DOWN (${ride.status}) after ${minutesBetween(outage.start, timestamp)} min`);
+        }
+      });
+    });
+
+    this.lastStatus[parkId] = current;
+
+    // Save every pass, not just on transitions: the statuses seen last are
+    // what the first refresh after a restart is compared with
+    if (transitions.length > 0) this.prune();
+    await this.save();
+
+    return transitions;
+  }
+
+  /**
+   * Outages still in progress, with how long they have lasted so far
+   */
+  getCurrentOutages(parkId, now = new Date()) {
+    return Object.values(this.openOutages[parkId] || {}).map(outage => ({
+      ...outage,
+      parkId,
+      durationMinutes: minutesBetween(outage.start, now)
+    }));
+  }
+
+  /**
+   * Outages (finished or ongoing) that started on a park-local date
+   */
+  getOutagesForDate(parkId, date, now = new Date()) {
+    const timeZone = parkRegistry.getTimezone(parkId);
+    const finished = this.log.filter(outage =>
+      outage.parkId === parkId && getLocalParts(outage.start, timeZone).date === date
+    );
+    const ongoing = this.getCurrentOutages(parkId, now)
+      .filter(outage => getLocalParts(outage.start, timeZone).date === date)
+      .map(outage => ({ ...outage, end: null }));
+
+    return [...finished, ...ongoing].sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * Outage counts, downtime and uptime share per ride over the last 30 days
+   */
+  async getReliability(parkId, { rideId, today, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - RELIABILITY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const outages = [
+      ...this.log.filter(outage => outage.parkId === parkId),
+      ...this.getCurrentOutages(parkId, now)
+    ].filter(outage => new Date(outage.start) >= since && (!rideId || outage.rideId === rideId));
+
+    const byRide = {};
+    outages.forEach(outage => {
+      const entry = byRide[outage.rideId] || (byRide[outage.rideId] = {
+        rideId: outage.rideId,
+        rideName: outage.rideName,
+        outageCount: 0,
+        totalDowntimeMinutes: 0,
+        longestOutageMinutes: 0
+      });
+      entry.outageCount++;
+      entry.totalDowntimeMinutes += outage.durationMinutes;
+      entry.longestOutageMinutes = Math.max(entry.longestOutageMinutes, outage.durationMinutes);
+    });
+
+    const rideIds = rideId ? [rideId] : Object.keys({ ...byRide, ...(this.lastStatus[parkId] || {}) });
+    const fromDate = getLocalParts(since, parkRegistry.getTimezone(parkId)).date;
+    const results = [];
+
+    for (const id of rideIds) {
+      const entry = byRide[id] || {
+        rideId: id,
+        rideName: null,
+        outageCount: 0,
+        totalDowntimeMinutes: 0,
+        longestOutageMinutes: 0
+      };
+
+      // Uptime comes from recorded status samples while the ride was scheduled to run
+      const aggregates = await waitHistory.getHourlyAggregates(id, fromDate, today);
+      let operating = 0;
+      let down = 0;
+      aggregates.forEach(aggregate => {
+        operating += aggregate.statuses.OPERATING || 0;
+        down += aggregate.statuses.DOWN || 0;
+      });
+
+      results.push({
+        ...entry,
+        averageOutageMinutes: entry.outageCount > 0
+          ? Math.round(entry.totalDowntimeMinutes / entry.outageCount)
+          : 0,
+        uptimePercent: operating + down > 0
+          ? Math.round((operating / (operating + down)) * 1000) / 10
+          : null
+      });
+    }
+
+    return results.sort((a, b) => b.totalDowntimeMinutes - a.totalDowntimeMinutes);
+  }
+
+  prune(now = new Date()) {
+    const cutoff = new Date(now.getTime() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    this.log = this.log.filter(outage => outage.end >= cutoff);
+  }
+
+  async save() {
+    try {
+      const data = {
+        lastStatus: this.lastStatus,
+        openOutages: this.openOutages,
+        log: this.log,
+        lastOperating: this.lastOperating
+      };
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(`${this.filePath}.tmp`, JSON.stringify(data));
+      await fs.rename(`${this.filePath}.tmp`, this.filePath);
+    } catch (error) {
+      console.error('Error saving downtime log:', error);
+    }
+  }
+}
+
+module.exports = new DowntimeTracker();
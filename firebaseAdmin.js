@@ -0,0 +1,31 @@
+// firebaseAdmin.js - Shared firebase-admin app, initialized on first use
+const admin = require('firebase-admin');
+
+let app = null;
+
+/**
+ * Get (or lazily create) the firebase-admin app.
+ *
+ * Credentials come from FIREBASE_SERVICE_ACCOUNT (the service account JSON,
+ * handy on Heroku) or the standard GOOGLE_APPLICATION_CREDENTIALS file. When
+ * FIRESTORE_EMULATOR_HOST is set the SDK talks to the emulator and only a
+ * project id is needed.
+ */
+function getFirebaseApp() {
+  if (app) return app;
+
+  const options = {};
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+    options.credential = admin.credential.cert(serviceAccount);
+    options.projectId = serviceAccount.project_id;
+  }
+  if (process.env.FIREBASE_PROJECT_ID) {
+    options.projectId = process.env.FIREBASE_PROJECT_ID;
+  }
+
+  app = admin.initializeApp(options);
+  return app;
+}
+
+module.exports = { getFirebaseApp };
@@ -0,0 +1,83 @@
+// firestoreUserStore.js - Firestore backend for the user store
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getFirebaseApp } = require('./firebaseAdmin');
+
+/**
+ * Each store collection maps to a Firestore collection with one document per
+ * key. The stored value is wrapped as { value, updatedAt } so strings and
+ * arrays (push tokens, notified ride ids) can be saved as well as objects.
+ */
+class FirestoreUserStore {
+  constructor(options = {}) {
+    this.prefix = options.prefix || '';
+    this.db = null;
+  }
+
+  async init() {
+    this.db = getFirestore(getFirebaseApp());
+    this.db.settings({ ignoreUndefinedProperties: true });
+    console.log(`🔥 Using Firestore user store${process.env.FIRESTORE_EMULATOR_HOST ? ' (emulator)' : ''}`);
+  }
+
+  async get(collection, key) {
+    const snapshot = await this.doc(collection, key).get();
+    return snapshot.exists ? snapshot.data().value : undefined;
+  }
+
+  async set(collection, key, value) {
+    await this.doc(collection, key).set({
+      value,
+      updatedAt: FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Read-modify-write inside a transaction. Firestore may run `updater` more
+   * than once when documents change underneath it, so it must not have side
+   * effects beyond the value it returns.
+   */
+  async update(collection, key, updater) {
+    const ref = this.doc(collection, key);
+
+    return this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(ref);
+      const current = snapshot.exists ? snapshot.data().value : undefined;
+      const next = await updater(current);
+
+      if (next === undefined) {
+        transaction.delete(ref);
+      } else {
+        transaction.set(ref, { value: next, updatedAt: FieldValue.serverTimestamp() });
+      }
+      return next;
+    });
+  }
+
+  async remove(collection, key) {
+    await this.doc(collection, key).delete();
+  }
+
+  async list(collection) {
+    const snapshot = await this.db.collection(this.collectionName(collection)).get();
+    const items = {};
+    snapshot.forEach(doc => {
+      items[decodeURIComponent(doc.id)] = doc.data().value;
+    });
+    return items;
+  }
+
+  async close() {
+    if (this.db) await this.db.terminate();
+  }
+
+  collectionName(collection) {
+    return `${this.prefix}${collection}`;
+  }
+
+  doc(collection, key) {
+    // Document ids may not contain '/', so keys are URI-encoded
+    return this.db.collection(this.collectionName(collection)).doc(encodeURIComponent(key));
+  }
+}
+
+module.exports = FirestoreUserStore;
@@ -0,0 +1,324 @@
+// forecastModel.js - Predicts the rest of today's waits from our own recorded history
+const fs = require('fs').promises;
+const path = require('path');
+const waitHistory = require('./waitHistory');
+const rideStats = require('./rideStats');
+const { getLocalParts, addDays } = require('./parkTime');
+const parkRegistry = require('./parkRegistry');
+const { dataPath } = require('./dataDir');
+
+const RECENT_WINDOW_DAYS = 14;
+const BASELINE_WINDOW_DAYS = 56;
+const DEVIATION_DECAY = 0.6; // share of the current deviation still expected one hour later
+const SEASON_FACTOR_LIMITS = [0.6, 1.6];
+const ACCURACY_RETENTION_DAYS = 90;
+
+/**
+ * Helper: Mean operating wait across a list of hourly aggregates
+ */
+function meanWait(aggregates) {
+  let sum = 0;
+  let samples = 0;
+  aggregates.forEach(aggregate => {
+    sum += aggregate.sum;
+    samples += aggregate.operatingSamples;
+  });
+  return samples > 0 ? sum / samples : null;
+}
+
+/**
+ * Prediction for hour h of today:
+ *   typical(weekday, h) × seasonFactor + currentDeviation × DEVIATION_DECAY^(hours ahead)
+ * where typical comes from the last 8 weeks of history, seasonFactor compares
+ * the last 2 weeks with those 8 weeks, and currentDeviation is how far the
+ * live wait sits from typical right now.
+ *
+ * Every hour the model snapshots its predictions (and the upstream
+ * ThemeParks.wiki forecast) so finished days can be scored against what
+ * actually happened.
+ */
+class ForecastModel {
+  constructor(baseDir = process.env.FORECAST_DIR || dataPath('forecasts')) {
+    this.baseDir = baseDir;
+    this.seasonFactors = {}; // { rideId: factor }
+    this.snapshotHours = {}; // { parkId: 'YYYY-MM-DD-HH' last snapshotted }
+    this.trainedAt = null;
+  }
+
+  /**
+   * Recompute per-ride season factors. Run daily after wait history rolls up.
+   */
+  async train(today) {
+    const baselineFrom = addDays(today, -BASELINE_WINDOW_DAYS);
+    const recentFrom = addDays(today, -RECENT_WINDOW_DAYS);
+    const yesterday = addDays(today, -1);
+    const rideIds = new Set();
+
+    for (const month of waitHistory.monthsBetween(baselineFrom, yesterday)) {
+      Object.keys(await waitHistory.getRidesForMonth(month)).forEach(id => rideIds.add(id));
+    }
+
+    const seasonFactors = {};
+    for (const rideId of rideIds) {
+      const aggregates = await waitHistory.getHourlyAggregates(rideId, baselineFrom, yesterday);
+      const baseline = meanWait(aggregates);
+      const recent = meanWait(aggregates.filter(a => a.date >= recentFrom));
+
+      if (baseline && recent !== null) {
+        const [low, high] = SEASON_FACTOR_LIMITS;
+        seasonFactors[rideId] = Math.min(Math.max(recent / baseline, low), high);
+      }
+    }
+
+    this.seasonFactors = seasonFactors;
+    this.trainedAt = new Date().toISOString();
+    console.log(`🔮 Trained forecast model for ${rideIds.size} rides`);
+  }
+
+  /**
+   * Predicted waits for the rest of today, one entry per remaining hour.
+   * Returns an empty list when the ride has no usable history yet.
+   */
+  predictRide(parkId, ride, now = new Date()) {
+    const { date, hour } = getLocalParts(now, parkRegistry.getTimezone(parkId));
+    const seasonFactor = this.seasonFactors[ride.id] ?? 1;
+    const typicalNow = rideStats.getTypicalWait(ride.id, date, hour);
+    const deviation = ride.status === 'OPERATING' && typicalNow !== null
+      ? ride.currentWait - typicalNow * seasonFactor
+      : 0;
+
+    const predictions = [];
+    for (let targetHour = hour + 1; targetHour < 24; targetHour++) {
+      const typical = rideStats.getTypicalWait(ride.id, date, targetHour);
+      if (typical === null) continue;
+
+      const hoursAhead = targetHour - hour;
+      const predicted = typical * seasonFactor + deviation * Math.pow(DEVIATION_DECAY, hoursAhead);
+      predictions.push({
+        hour: targetHour,
+        predictedWait: Math.max(0, Math.round(predicted / 5) * 5)
+      });
+    }
+
+    return predictions;
+  }
+
+  /**
+   * Predicted waits for every hour of another day: typical × seasonFactor,
+   * with no live deviation to carry over
+   */
+  predictDate(rideId, date) {
+    const seasonFactor = this.seasonFactors[rideId] ?? 1;
+    const predictions = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const typical = rideStats.getTypicalWait(rideId, date, hour);
+      if (typical === null) continue;
+      predictions.push({
+        hour,
+        predictedWait: Math.max(0, Math.round((typical * seasonFactor) / 5) * 5)
+      });
+    }
+    return predictions;
+  }
+
+  /**
+   * Predictions for every ride in a park's lands
+   */
+  predictPark(parkId, lands, now = new Date()) {
+    const rides = [];
+    Object.entries(lands).forEach(([landName, landRides]) => {
+      landRides.forEach(ride => {
+        rides.push({
+          rideId: ride.id,
+          name: ride.name,
+          land: landName,
+          currentWait: ride.currentWait,
+          status: ride.status,
+          predictions: this.predictRide(parkId, ride, now)
+        });
+      });
+    });
+    return rides;
+  }
+
+  /**
+   * Save this hour's predictions once per park so they can be scored later
+   */
+  async snapshot(parkId, lands, upstreamForecasts = {}, now = new Date()) {
+    const timeZone = parkRegistry.getTimezone(parkId);
+    const { date, hour } = getLocalParts(now, timeZone);
+    const hourKey = `${date}-${hour}`;
+    if (this.snapshotHours[parkId] === hourKey) return;
+    this.snapshotHours[parkId] = hourKey;
+
+    const file = path.join(this.baseDir, 'predictions', `${date}.json`);
+    const day = await this.readJson(file, {});
+
+    this.predictPark(parkId, lands, now).forEach(ride => {
+      if (ride.predictions.length === 0) return;
+
+      const upstream = {};
+      (upstreamForecasts[ride.rideId] || []).forEach(forecast => {
+        const parts = getLocalParts(forecast.time, timeZone);
+        if (parts.date === date && parts.hour > hour) upstream[parts.hour] = forecast.waitTime;
+      });
+
+      const entry = day[ride.rideId] || (day[ride.rideId] = { parkId, name: ride.name, madeAt: {} });
+      entry.madeAt[hour] = {
+        model: Object.fromEntries(ride.predictions.map(p => [p.hour, p.predictedWait])),
+        upstream
+      };
+    });
+
+    await this.writeJson(file, day);
+  }
+
+  /**
+   * Score a finished day's snapshots against the recorded hourly means
+   */
+  async scoreDay(date) {
+    const day = await this.readJson(path.join(this.baseDir, 'predictions', `${date}.json`), null);
+    if (!day) return null;
+
+    const totals = { model: { error: 0, count: 0 }, upstream: { error: 0, count: 0 } };
+    const byHorizon = {};
+    const byRide = {};
+
+    for (const [rideId, entry] of Object.entries(day)) {
+      const aggregates = await waitHistory.getHourlyAggregates(rideId, date, date);
+      const actualByHour = {};
+      aggregates.forEach(aggregate => {
+        const actual = meanWait([aggregate]);
+        if (actual !== null) actualByHour[aggregate.hour] = actual;
+      });
+
+      Object.entries(entry.madeAt).forEach(([madeAtHour, snapshot]) => {
+        ['model', 'upstream'].forEach(source => {
+          Object.entries(snapshot[source] || {}).forEach(([targetHour, predicted]) => {
+            const actual = actualByHour[targetHour];
+            if (actual === undefined || predicted === null) return;
+
+            const error = Math.abs(predicted - actual);
+            totals[source].error += error;
+            totals[source].count++;
+
+            if (source !== 'model') return;
+            const horizon = targetHour - madeAtHour;
+            const horizonEntry = byHorizon[horizon] || (byHorizon[horizon] = { error: 0, count: 0 });
+            horizonEntry.error += error;
+            horizonEntry.count++;
+
+            const rideEntry = byRide[rideId] || (byRide[rideId] = { name: entry.name, parkId: entry.parkId, error: 0, count: 0 });
+            rideEntry.error += error;
+            rideEntry.count++;
+          });
+        });
+      });
+    }
+
+    const mae = ({ error, count }) => (count > 0 ? Math.round((error / count) * 10) / 10 : null);
+    return {
+      date,
+      model: { meanAbsoluteError: mae(totals.model), comparisons: totals.model.count },
+      upstream: { meanAbsoluteError: mae(totals.upstream), comparisons: totals.upstream.count },
+      byHorizonHours: Object.fromEntries(Object.entries(byHorizon).map(([h, e]) => [h, mae(e)])),
+      byRide: Object.fromEntries(Object.entries(byRide).map(([id, e]) => [id, {
+        name: e.name,
+        parkId: e.parkId,
+        meanAbsoluteError: mae(e),
+        comparisons: e.count
+      }]))
+    };
+  }
+
+  /**
+   * Score any finished days not yet in the accuracy log and drop old ones.
+   * Needs that day's hourly aggregates, so run after wait history rolls up.
+   */
+  async updateAccuracy(today) {
+    const accuracyFile = path.join(this.baseDir, 'accuracy.json');
+    const accuracy = await this.readJson(accuracyFile, {});
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(this.baseDir, 'predictions'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const cutoff = addDays(today, -ACCURACY_RETENTION_DAYS);
+    for (const file of files) {
+      const date = file.replace('.json', '');
+      if (date < cutoff) {
+        await fs.unlink(path.join(this.baseDir, 'predictions', file));
+        continue;
+      }
+      if (date >= today || accuracy[date]) continue;
+
+      // Nothing to compare yet (e.g. no actual waits recorded that day):
+      // leave the day unscored so a later run can try again
+      const score = await this.scoreDay(date);
+      if (score && score.model.comparisons > 0) {
+        accuracy[date] = score;
+        console.log(`🎯 Forecast accuracy for ${date}: MAE ${score.model.meanAbsoluteError} min`);
+      }
+    }
+
+    Object.keys(accuracy).forEach(date => {
+      if (date < cutoff) delete accuracy[date];
+    });
+    await this.writeJson(accuracyFile, accuracy);
+  }
+
+  /**
+   * Accuracy report over the last `days` scored days
+   */
+  async getAccuracyReport(today, days = 7) {
+    const accuracy = await this.readJson(path.join(this.baseDir, 'accuracy.json'), {});
+    const fromDate = addDays(today, -days);
+    const scored = Object.values(accuracy)
+      .filter(day => day.date >= fromDate && day.date < today)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    const weighted = (source) => {
+      let error = 0;
+      let count = 0;
+      scored.forEach(day => {
+        if (day[source].meanAbsoluteError === null) return;
+        error += day[source].meanAbsoluteError * day[source].comparisons;
+        count += day[source].comparisons;
+      });
+      return { meanAbsoluteError: count > 0 ? Math.round((error / count) * 10) / 10 : null, comparisons: count };
+    };
+
+    return {
+      from: fromDate,
+      to: addDays(today, -1),
+      trainedAt: this.trainedAt,
+      model: weighted('model'),
+      upstream: weighted('upstream'),
+      days: scored.map(day => ({
+        date: day.date,
+        model: day.model,
+        upstream: day.upstream,
+        byHorizonHours: day.byHorizonHours
+      }))
+    };
+  }
+
+  async readJson(file, fallback) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return fallback;
+    }
+  }
+
+  async writeJson(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(data));
+    await fs.rename(`${file}.tmp`, file);
+  }
+}
+
+module.exports = new ForecastModel();
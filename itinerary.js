@@ -0,0 +1,243 @@
+// itinerary.js - Orders a day's must-do rides around fixed commitments
+//
+// A visit order is simulated ride by ride: walk over, queue for the predicted
+// wait, ride, move on. Commitments (shows, dining, Lightning Lane returns)
+// block the time from leaving for them (`travelTime` before) until they end;
+// a ride that would run into one is moved to after it. Orders are compared by
+// how many rides fit before closing, then by predicted wait plus walking.
+// Small lists try every order; longer ones start greedy and swap and move
+// rides while that keeps helping.
+
+const MINUTE = 60 * 1000;
+const RIDE_MINUTES = 10; // boarding, the ride itself and the exit
+const DEFAULT_WALK_MINUTES = 8; // when either end has no coordinates
+const WALK_METERS_PER_MINUTE = 70; // about 4 km/h through crowds
+const PATH_FACTOR = 1.3; // paths wind; straight lines are too short
+const COMMITMENT_MINUTES = {
+  show: 30,
+  dining: 60,
+  'lightning-lane': 20
+};
+const EXACT_SEARCH_LIMIT = 7; // 7! = 5040 orders
+const MAX_IMPROVEMENT_PASSES = 20;
+
+/**
+ * Helper: Great-circle distance in meters between { lat, lng } points
+ */
+function distanceMeters(a, b) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Minutes to walk between two locations
+ */
+function walkMinutes(from, to) {
+  if (!from || !to) return DEFAULT_WALK_MINUTES;
+  return Math.max(1, Math.ceil((distanceMeters(from, to) * PATH_FACTOR) / WALK_METERS_PER_MINUTE));
+}
+
+/**
+ * Helper: Local hour (index into `hourStarts`) of an instant
+ */
+function hourAt(hourStarts, time) {
+  let hour = 0;
+  while (hour < hourStarts.length - 1 && hourStarts[hour + 1] <= time) hour++;
+  return hour;
+}
+
+/**
+ * Helper: Turn { type, at, travelTime } into the time span it blocks
+ */
+function blockFor(commitment) {
+  return {
+    ...commitment,
+    leaveAt: commitment.at - commitment.travelTime * MINUTE,
+    endAt: commitment.at + COMMITMENT_MINUTES[commitment.type] * MINUTE
+  };
+}
+
+/**
+ * Helper: Walk through one visit order. Returns the steps with ms times.
+ */
+function simulate(order, day) {
+  const { blocks, hourStarts, startAt, endAt, startLocation } = day;
+  const steps = [];
+  const unscheduled = [];
+  let time = startAt;
+  let location = startLocation;
+  let totalWait = 0;
+  let totalWalk = 0;
+  let next = 0;
+
+  const attend = (block) => {
+    steps.push(block);
+    time = Math.max(time, block.endAt);
+    location = block.location;
+    next++;
+  };
+
+  for (const ride of order) {
+    for (;;) {
+      while (next < blocks.length && blocks[next].leaveAt <= time) attend(blocks[next]);
+
+      const walk = walkMinutes(location, ride.location);
+      const arriveAt = Math.max(time + walk * MINUTE, ride.earliestAt || 0);
+      const wait = ride.waits[hourAt(hourStarts, arriveAt)];
+      const doneAt = arriveAt + (wait + RIDE_MINUTES) * MINUTE;
+
+      if (next < blocks.length && doneAt > blocks[next].leaveAt) {
+        attend(blocks[next]);
+        continue;
+      }
+      if (doneAt > endAt) {
+        unscheduled.push({ rideId: ride.rideId, name: ride.name, reason: 'no-time' });
+        break;
+      }
+
+      steps.push({ type: 'ride', ride, walkMinutes: walk, arriveAt, predictedWait: wait, doneAt });
+      totalWait += wait;
+      totalWalk += walk;
+      time = doneAt;
+      location = ride.location;
+      break;
+    }
+  }
+
+  while (next < blocks.length) attend(blocks[next]);
+
+  return {
+    steps,
+    unscheduled,
+    totalWait,
+    totalWalk,
+    // Rides that fit come first; the last term only breaks ties
+    cost: unscheduled.length * 1e6 + totalWait + totalWalk + (time - startAt) / MINUTE / 1000
+  };
+}
+
+/**
+ * Helper: Every ordering of a short list
+ */
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const tail of permutations(rest)) yield [items[i], ...tail];
+  }
+}
+
+/**
+ * Helper: Greedy order (cheapest next ride each time), then pair swaps and
+ * single moves until neither helps
+ */
+function improveOrder(rides, day) {
+  let order = [];
+  const remaining = [...rides];
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    let bestCost = Infinity;
+    remaining.forEach((ride, index) => {
+      const { cost } = simulate([...order, ride], day);
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestIndex = index;
+      }
+    });
+    order.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  let best = simulate(order, day);
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < order.length; i++) {
+      for (let j = 0; j < order.length; j++) {
+        if (i === j) continue;
+        const swapped = [...order];
+        [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+        const moved = [...order];
+        moved.splice(j, 0, moved.splice(i, 1)[0]);
+
+        for (const candidate of [swapped, moved]) {
+          const result = simulate(candidate, day);
+          if (result.cost < best.cost) {
+            best = result;
+            order = candidate;
+            improved = true;
+          }
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return best;
+}
+
+/**
+ * Plan the day.
+ *   rides: [{ rideId, name, land, status, location, waits, earliestAt }] where
+ *     `waits` holds the predicted wait for each local hour (24 entries) and
+ *     `earliestAt` (optional, ms) holds a ride back, e.g. while it is down
+ *   commitments: [{ type: 'show'|'dining'|'lightning-lane', name, at, travelTime, location, ... }]
+ *   hourStarts: the instant each local hour of the day starts (24 entries, ms)
+ *   startAt, endAt: when the plan may start and must end (ms)
+ * Returns { itinerary, unscheduled, totalPredictedWait, totalWalkMinutes }
+ * with ISO times.
+ */
+function planDay({ rides, commitments, hourStarts, startAt, endAt, startLocation = null }) {
+  const day = {
+    blocks: commitments
+      .map(blockFor)
+      .filter(block => block.endAt > startAt)
+      .sort((a, b) => a.leaveAt - b.leaveAt),
+    hourStarts,
+    startAt,
+    endAt,
+    startLocation
+  };
+
+  let best = null;
+  if (rides.length <= EXACT_SEARCH_LIMIT) {
+    for (const order of permutations(rides)) {
+      const result = simulate(order, day);
+      if (!best || result.cost < best.cost) best = result;
+    }
+  } else {
+    best = improveOrder(rides, day);
+  }
+
+  const iso = time => new Date(time).toISOString();
+  return {
+    itinerary: best.steps.map(step => {
+      if (step.type === 'ride') {
+        return {
+          type: 'ride',
+          rideId: step.ride.rideId,
+          name: step.ride.name,
+          land: step.ride.land,
+          status: step.ride.status || null,
+          walkMinutes: step.walkMinutes,
+          arriveAt: iso(step.arriveAt),
+          predictedWait: step.predictedWait,
+          doneAt: iso(step.doneAt)
+        };
+      }
+      const { location, at, leaveAt, endAt: blockEnd, travelTime, ...details } = step;
+      return { ...details, leaveAt: iso(leaveAt), at: iso(at), endAt: iso(blockEnd) };
+    }),
+    unscheduled: best.unscheduled,
+    totalPredictedWait: best.totalWait,
+    totalWalkMinutes: best.totalWalk
+  };
+}
+
+module.exports = {
+  planDay
+};
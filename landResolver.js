@@ -0,0 +1,87 @@
+// landResolver.js - Decides which land a ride, show or restaurant belongs to
+const fs = require('fs');
+const path = require('path');
+const parkRegistry = require('./parkRegistry');
+
+const DEFAULT_LAND = 'Other';
+
+/**
+ * Helper: Ray-casting point-in-polygon test. Polygon points are [lat, lng].
+ */
+function pointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Helper: Lowercase a name and reduce punctuation and symbols to single
+ * spaces, so "Disneyland® Monorail" and "disneyland monorail" compare equal
+ */
+function normalizeName(name) {
+  return String(name).normalize('NFKD').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Land boundaries come from each park's entry in config/parks.json and are
+ * deliberately rough. When an entity lands on the wrong side of a boundary,
+ * pin it in config/land-overrides.json ({ name or entityId: landName })
+ * rather than reshaping the polygons. The scrapers and ThemeParks.wiki use
+ * different ids for the same attraction, so pin by name to cover both.
+ *
+ * Resolution order: override by id, then by name, then coordinates, then a
+ * name match on the location text (scrapers) or entity name, then "Other".
+ */
+class LandResolver {
+  constructor(overridesPath = process.env.LAND_OVERRIDES_PATH || path.join(__dirname, 'config', 'land-overrides.json')) {
+    this.overrides = this.readJson(overridesPath, {});
+    this.namedOverrides = {};
+    for (const [key, land] of Object.entries(this.overrides)) {
+      this.namedOverrides[normalizeName(key)] = land;
+    }
+  }
+
+  /**
+   * Land name for an entity in a park.
+   * `entity` is { id, name, locationName, coordinates: { lat, lng } }.
+   */
+  resolve(parkId, entity) {
+    const override = this.overrides[entity.id] ||
+      (entity.name && this.namedOverrides[normalizeName(entity.name)]);
+    if (override) return override;
+
+    const lands = parkRegistry.getPark(parkId)?.lands || [];
+    const { lat, lng } = entity.coordinates || {};
+    if (typeof lat === 'number' && typeof lng === 'number') {
+      const land = lands.find(l => pointInPolygon(lat, lng, l.polygon));
+      if (land) return land.name;
+    }
+
+    for (const text of [entity.locationName, entity.name]) {
+      if (!text) continue;
+      const land = lands.find(l => l.aliases.some(alias => text.includes(alias)));
+      if (land) return land.name;
+    }
+
+    return DEFAULT_LAND;
+  }
+
+  readJson(file, fallback) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not read land overrides ${file}: ${error.message}`);
+      }
+      return fallback;
+    }
+  }
+}
+
+module.exports = new LandResolver();
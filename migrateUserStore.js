@@ -0,0 +1,29 @@
+// migrateUserStore.js - Copy user data from the file store into Firestore
+// Run with: USER_STORE_PATH=./data/user-data.json node migrateUserStore.js
+
+const { createUserStore, COLLECTIONS } = require('./userStore');
+
+async function migrate() {
+  const source = createUserStore('file');
+  const target = createUserStore('firestore');
+  await source.init();
+  await target.init();
+
+  for (const collection of Object.values(COLLECTIONS)) {
+    const items = await source.list(collection);
+    const entries = Object.entries(items);
+
+    for (const [key, value] of entries) {
+      await target.set(collection, key, value);
+    }
+    console.log(`✓ ${collection}: copied ${entries.length} entries`);
+  }
+
+  await target.close();
+  console.log('🎉 Migration complete');
+}
+
+migrate().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
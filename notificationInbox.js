@@ -0,0 +1,94 @@
+// notificationInbox.js - Per-user history of the notifications we built, with read state
+//
+// Stored per user in COLLECTIONS.notifications, newest first:
+//   [{ id, type, title, body, data, createdAt, status, reason, readAt }]
+// `status` is 'sent' or 'suppressed' (held back by quiet hours or the daily
+// cap, see `reason`); delivery progress comes from pushDelivery. Reminders
+// kept through quiet hours are recorded when they go out.
+const crypto = require('crypto');
+const { userStore, COLLECTIONS } = require('./userStore');
+
+const MAX_ENTRIES_PER_USER = 200;
+const RETENTION_DAYS = 30;
+
+/**
+ * Add `{ message, status, reason }` items to their users' inboxes. Each
+ * message gets the entry id as `data.notificationId` so the app can mark it
+ * read when the push is opened.
+ */
+async function record(items, now = new Date()) {
+  const byUser = {};
+  items.forEach(({ message, status, reason = null }) => {
+    const id = crypto.randomUUID();
+    message.data = { ...message.data, notificationId: id };
+    (byUser[message.userId] = byUser[message.userId] || []).push({
+      id,
+      type: message.data.type || null,
+      title: message.title,
+      body: message.body,
+      data: message.data,
+      createdAt: now.toISOString(),
+      status,
+      reason,
+      readAt: null
+    });
+  });
+
+  const cutoff = now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const [userId, entries] of Object.entries(byUser)) {
+    await userStore.update(COLLECTIONS.notifications, userId, (inbox = []) =>
+      [...entries.reverse(), ...inbox]
+        .filter(entry => new Date(entry.createdAt).getTime() >= cutoff)
+        .slice(0, MAX_ENTRIES_PER_USER)
+    );
+  }
+}
+
+/**
+ * One page of a user's inbox, newest first. `cursor` is the id of the last
+ * entry on the previous page. It is looked up in the whole inbox, not just
+ * the unread entries, so marking it read doesn't lose the reader's place.
+ */
+async function list(userId, { limit = 20, cursor, unreadOnly = false } = {}) {
+  const inbox = await userStore.get(COLLECTIONS.notifications, userId) || [];
+  const matches = entry => !unreadOnly || !entry.readAt;
+
+  let start = 0;
+  if (cursor) {
+    const index = inbox.findIndex(entry => entry.id === cursor);
+    if (index === -1) return null;
+    start = index + 1;
+  }
+
+  const matching = inbox.slice(start).filter(matches);
+  const page = matching.slice(0, limit);
+  return {
+    notifications: page,
+    unreadCount: inbox.filter(entry => !entry.readAt).length,
+    nextCursor: matching.length > limit ? page[page.length - 1].id : null
+  };
+}
+
+/**
+ * Mark entries read (`read` true) or unread. `ids` null means every entry.
+ * Returns how many entries matched.
+ */
+async function markRead(userId, ids, read, now = new Date()) {
+  let matched = 0;
+  await userStore.update(COLLECTIONS.notifications, userId, (inbox) => {
+    if (!inbox) return inbox;
+    inbox.forEach(entry => {
+      if (ids && !ids.includes(entry.id)) return;
+      matched++;
+      entry.readAt = read ? (entry.readAt || now.toISOString()) : null;
+    });
+    return inbox;
+  });
+  return matched;
+}
+
+module.exports = {
+  record,
+  list,
+  markRead
+};
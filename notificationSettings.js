@@ -0,0 +1,206 @@
+// notificationSettings.js - Per-user notification settings, enforced on every outgoing push
+//
+// Settings look like:
+//   { quietHours: { start: '22:00', end: '07:00' },   // null = no quiet hours
+//     dailyCap: 20,                                    // null = unlimited
+//     types: { ride: true, show: true, 'show-warning': true, dining: true, 'lightning-lane': true },
+//     finalWarningMinutes: 5,
+//     timeZone: 'America/Los_Angeles',                // for quiet hours and the daily cap
+//     locale: 'en-US',                                // language and 12/24-hour clock of push text
+//     delivery: { 'lightning-lane-price': { priority: 'high', channelId: 'ride-alerts' } } }
+// `delivery` picks the push priority and Android channel per push `data.type`;
+// types left out keep DEFAULT_DELIVERY.
+const { userStore, COLLECTIONS } = require('./userStore');
+const { PARK_TIMEZONE, getLocalParts } = require('./parkTime');
+
+const NOTIFICATION_TYPES = ['ride', 'show', 'show-warning', 'dining', 'lightning-lane'];
+
+// Which setting toggle covers each push `data.type`
+const TYPE_FOR_MESSAGE = {
+  'ride': 'ride',
+  'ride-reopened': 'ride',
+  'show': 'show',
+  'show-warning': 'show-warning',
+  'dining': 'dining',
+  'lightning-lane': 'lightning-lane',
+  'lightning-lane-watch': 'lightning-lane',
+  'lightning-lane-price': 'lightning-lane'
+};
+
+const MESSAGE_TYPES = Object.keys(TYPE_FOR_MESSAGE);
+const MAX_HELD_PER_USER = 50;
+// Reminders of plans the user made still help after quiet hours; alerts about
+// waits, return times and prices would be stale by then, so those are dropped
+const HELD_THROUGH_QUIET_HOURS = ['show', 'dining', 'lightning-lane'];
+const PRIORITIES = ['normal', 'high'];
+// Android notification channels the app creates
+const CHANNELS = ['ride-alerts', 'event-alerts', 'reminders', 'price-alerts'];
+
+// Alerts that need acting on right away wake the device; reminders of plans
+// the user made and price news don't
+const DEFAULT_DELIVERY = {
+  'ride': { priority: 'high', channelId: 'ride-alerts' },
+  'ride-reopened': { priority: 'high', channelId: 'ride-alerts' },
+  'lightning-lane-watch': { priority: 'high', channelId: 'ride-alerts' },
+  'lightning-lane-price': { priority: 'normal', channelId: 'price-alerts' },
+  'show': { priority: 'normal', channelId: 'reminders' },
+  'show-warning': { priority: 'high', channelId: 'event-alerts' },
+  'dining': { priority: 'normal', channelId: 'reminders' },
+  'lightning-lane': { priority: 'normal', channelId: 'reminders' }
+};
+
+const DEFAULT_SETTINGS = {
+  quietHours: null,
+  dailyCap: null,
+  types: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, true])),
+  finalWarningMinutes: 5,
+  timeZone: PARK_TIMEZONE,
+  locale: 'en-US',
+  delivery: DEFAULT_DELIVERY
+};
+
+/**
+ * Helper: Drop null and undefined entries, so they fall back to the defaults
+ */
+function withoutEmpty(values = {}) {
+  return Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Fill in defaults for anything a user hasn't set (null counts as unset;
+ * quietHours and dailyCap default to null, i.e. off)
+ */
+function resolveSettings(stored = {}) {
+  const set = withoutEmpty(stored);
+  return {
+    ...DEFAULT_SETTINGS,
+    ...set,
+    types: { ...DEFAULT_SETTINGS.types, ...withoutEmpty(set.types) },
+    delivery: Object.fromEntries(MESSAGE_TYPES.map(type => [
+      type,
+      { ...DEFAULT_DELIVERY[type], ...withoutEmpty(set.delivery?.[type]) }
+    ]))
+  };
+}
+
+/**
+ * Helper: "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether `now` falls inside the user's quiet hours. Windows may wrap past
+ * midnight (22:00-07:00).
+ */
+function isQuietTime(settings, now = new Date()) {
+  if (!settings.quietHours) return false;
+
+  const local = getLocalParts(now, settings.timeZone);
+  const current = local.hour * 60 + local.minute;
+  const start = toMinutes(settings.quietHours.start);
+  const end = toMinutes(settings.quietHours.end);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Take the pushes held for users whose quiet hours are over, oldest first.
+ * `allHeld` and `allSettings` are the listed heldNotifications and
+ * notificationSettings collections.
+ */
+async function releaseHeld(allHeld, allSettings, now = new Date()) {
+  const released = [];
+  for (const userId of Object.keys(allHeld)) {
+    if (isQuietTime(resolveSettings(allSettings[userId]), now)) continue;
+
+    await userStore.update(COLLECTIONS.heldNotifications, userId, (held = []) => {
+      released.push(...held);
+      return undefined;
+    });
+  }
+  if (released.length > 0) console.log(`🔔 Quiet hours over: releasing ${released.length} held push(es)`);
+  return released;
+}
+
+/**
+ * Split messages into those each user's settings allow and those held back.
+ * Messages of a type the user turned off are dropped outright. Reminders
+ * that arrive in quiet hours are kept until they end (see `releaseHeld`);
+ * other quiet-hours messages and those over the daily cap are held back as
+ * `{ message, reason }`. Allowed messages
+ * count against the daily cap. Messages carry the `userId` they are for, and
+ * come back with the priority and channel the user picked. `allSettings` is
+ * the listed notificationSettings collection.
+ */
+async function applySettings(messages, allSettings, now = new Date()) {
+  const allowed = [];
+  const held = [];
+  if (messages.length === 0) return { allowed, held };
+
+  const sentCounts = {}; // userId -> { date, count }
+  const quietHeld = {}; // userId -> messages to keep until quiet hours end
+
+  for (const queued of messages) {
+    const { userId } = queued;
+    const settings = resolveSettings(allSettings[userId]);
+    const type = TYPE_FOR_MESSAGE[queued.data?.type];
+    const message = { ...queued, ...settings.delivery[queued.data?.type] };
+
+    if (type && settings.types[type] === false) continue;
+
+    if (isQuietTime(settings, now)) {
+      if (HELD_THROUGH_QUIET_HOURS.includes(message.data?.type)) {
+        console.log(`🔕 Quiet hours: holding ${message.data.type} push for user ${userId} until they end`);
+        (quietHeld[userId] = quietHeld[userId] || []).push(message);
+      } else {
+        console.log(`🔕 Quiet hours: dropping ${message.data?.type} push for user ${userId}`);
+        held.push({ message, reason: 'quiet-hours' });
+      }
+      continue;
+    }
+
+    if (settings.dailyCap !== null) {
+      const today = getLocalParts(now, settings.timeZone).date;
+      if (!sentCounts[userId]) {
+        const stored = await userStore.get(COLLECTIONS.notificationCounts, userId);
+        sentCounts[userId] = stored?.date === today ? stored : { date: today, count: 0 };
+      }
+      if (sentCounts[userId].count >= settings.dailyCap) {
+        console.log(`🔕 Daily cap of ${settings.dailyCap} reached for user ${userId}`);
+        held.push({ message, reason: 'daily-cap' });
+        continue;
+      }
+      sentCounts[userId].count++;
+    }
+
+    allowed.push(message);
+  }
+
+  for (const [userId, counts] of Object.entries(sentCounts)) {
+    await userStore.set(COLLECTIONS.notificationCounts, userId, counts);
+  }
+  for (const [userId, messagesToHold] of Object.entries(quietHeld)) {
+    await userStore.update(COLLECTIONS.heldNotifications, userId, (stored = []) =>
+      [...stored, ...messagesToHold].slice(-MAX_HELD_PER_USER)
+    );
+  }
+
+  return { allowed, held };
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  MESSAGE_TYPES,
+  PRIORITIES,
+  CHANNELS,
+  DEFAULT_SETTINGS,
+  resolveSettings,
+  isQuietTime,
+  releaseHeld,
+  applySettings
+};
@@ -0,0 +1,227 @@
+// notificationText.js - Localized push notification text (English, Spanish, Japanese)
+//
+// Checks queue messages with `text: { key, params }` instead of a title and
+// body; `localize` renders them in each user's locale (notification settings)
+// just before sending. Times are passed as ISO instants plus the park's
+// `timeZone` and formatted per locale, so es/ja/en-GB get a 24-hour clock.
+const { formatTime } = require('./parkTime');
+const notificationSettings = require('./notificationSettings');
+
+const SUPPORTED_LANGUAGES = ['en', 'es', 'ja'];
+
+const QUEUE_LABELS = {
+  RETURN_TIME: 'Lightning Lane',
+  PAID_RETURN_TIME: 'Individual Lightning Lane'
+};
+
+// Why an alert rule matched (see alertRules.js)
+const REASONS = {
+  en: {
+    maxWait: p => `${p.currentWait} min wait (your limit is ${p.maxWait} min)`,
+    belowTypical: p => `${p.currentWait} min wait, ${p.percentBelow}% below the usual ${p.typicalWait} min for this hour`,
+    dropBy: p => `wait dropped from ${p.previousWait} to ${p.currentWait} min`,
+    lowestRemaining: p => `${p.currentWait} min is the lowest forecast for the rest of the day`
+  },
+  es: {
+    maxWait: p => `espera de ${p.currentWait} min (tu límite es ${p.maxWait} min)`,
+    belowTypical: p => `espera de ${p.currentWait} min, ${p.percentBelow}% menos que los ${p.typicalWait} min habituales a esta hora`,
+    dropBy: p => `la espera bajó de ${p.previousWait} a ${p.currentWait} min`,
+    lowestRemaining: p => `${p.currentWait} min es la espera más baja prevista para el resto del día`
+  },
+  ja: {
+    maxWait: p => `待ち時間${p.currentWait}分（上限${p.maxWait}分）`,
+    belowTypical: p => `待ち時間${p.currentWait}分、この時間帯の通常${p.typicalWait}分より${p.percentBelow}%短い`,
+    dropBy: p => `待ち時間が${p.previousWait}分から${p.currentWait}分に短縮`,
+    lowestRemaining: p => `${p.currentWait}分は本日この後の予測で最短`
+  }
+};
+
+// Each template gets the message params and formatters for the user's locale
+const TEMPLATES = {
+  en: {
+    rideReady: {
+      title: '🎢 Ride Ready!',
+      body: (p, f) => p.otherCount === 0
+        ? `${p.rideName}: ${f.reason(p.reason)}!`
+        : `${p.rideName}: ${f.reason(p.reason)}. ${p.otherCount} other ride${p.otherCount > 1 ? 's are' : ' is'} also ready!`
+    },
+    rideReopened: {
+      title: '🔧 Ride Reopened!',
+      body: p => `${p.rideName} is back up and running!${p.currentWait !== null ? ` Current wait: ${p.currentWait} min.` : ''}`
+    },
+    lightningLaneAvailable: {
+      title: '⚡ Lightning Lane Available!',
+      body: (p, f) => `${p.rideName} ${QUEUE_LABELS[p.queue]} is available again${p.returnStart ? ` - next return ${f.time(p.returnStart)}` : ''}!`
+    },
+    lightningLaneEarlier: {
+      title: '⚡ Lightning Lane Available!',
+      body: (p, f) => `${p.rideName} ${QUEUE_LABELS[p.queue]} return time is now ${f.time(p.returnStart)}, before ${f.time(p.returnBefore)}!`
+    },
+    lightningLaneSoldOut: {
+      title: '💲 Lightning Lane Price Alert',
+      body: p => `${p.rideName} Individual Lightning Lane just sold out.`
+    },
+    lightningLanePriceDrop: {
+      title: '💲 Lightning Lane Price Alert',
+      body: (p, f) => `${p.rideName} Individual Lightning Lane dropped to ${f.price(p.current)} (was ${f.price(p.previous)})!`
+    },
+    showReminder: {
+      title: '🎭 Time to Head to Show!',
+      body: (p, f) => `${p.showName} at ${f.time(p.showTime)} - Leave now!`
+    },
+    showFinalWarning: {
+      title: '🎭 Show Starting Soon!',
+      body: p => `${p.showName} starts in ${p.minutes} minute${p.minutes === 1 ? '' : 's'}!`
+    },
+    diningReminder: {
+      title: '🍽️ Dining Reminder!',
+      body: (p, f) => `${p.restaurantName} reservation at ${f.time(p.time)} - Time to go!`
+    },
+    lightningLaneReminder: {
+      title: '⚡ Lightning Lane Time!',
+      body: (p, f) => `Your Lightning Lane for ${p.rideName} is at ${f.time(p.returnTime)} - Head over now!`
+    }
+  },
+  es: {
+    rideReady: {
+      title: '🎢 ¡Atracción lista!',
+      body: (p, f) => p.otherCount === 0
+        ? `${p.rideName}: ¡${f.reason(p.reason)}!`
+        : `${p.rideName}: ${f.reason(p.reason)}. ¡${p.otherCount > 1 ? `Otras ${p.otherCount} atracciones también están listas` : 'Otra atracción también está lista'}!`
+    },
+    rideReopened: {
+      title: '🔧 ¡Atracción reabierta!',
+      body: p => `¡${p.rideName} vuelve a funcionar!${p.currentWait !== null ? ` Espera actual: ${p.currentWait} min.` : ''}`
+    },
+    lightningLaneAvailable: {
+      title: '⚡ ¡Lightning Lane disponible!',
+      body: (p, f) => `¡${QUEUE_LABELS[p.queue]} de ${p.rideName} vuelve a estar disponible${p.returnStart ? ` (próximo regreso: ${f.time(p.returnStart)})` : ''}!`
+    },
+    lightningLaneEarlier: {
+      title: '⚡ ¡Lightning Lane disponible!',
+      body: (p, f) => `¡La hora de regreso de ${QUEUE_LABELS[p.queue]} de ${p.rideName} ahora es ${f.time(p.returnStart)}, antes de ${f.time(p.returnBefore)}!`
+    },
+    lightningLaneSoldOut: {
+      title: '💲 Alerta de precio de Lightning Lane',
+      body: p => `Individual Lightning Lane de ${p.rideName} se acaba de agotar.`
+    },
+    lightningLanePriceDrop: {
+      title: '💲 Alerta de precio de Lightning Lane',
+      body: (p, f) => `¡Individual Lightning Lane de ${p.rideName} bajó a ${f.price(p.current)} (antes ${f.price(p.previous)})!`
+    },
+    showReminder: {
+      title: '🎭 ¡Hora de ir al espectáculo!',
+      body: (p, f) => `${p.showName} a las ${f.time(p.showTime)} - ¡Sal ahora!`
+    },
+    showFinalWarning: {
+      title: '🎭 ¡El espectáculo está por comenzar!',
+      body: p => `¡${p.showName} comienza en ${p.minutes} minuto${p.minutes === 1 ? '' : 's'}!`
+    },
+    diningReminder: {
+      title: '🍽️ ¡Recordatorio de restaurante!',
+      body: (p, f) => `Reserva en ${p.restaurantName} a las ${f.time(p.time)} - ¡Es hora de ir!`
+    },
+    lightningLaneReminder: {
+      title: '⚡ ¡Hora de tu Lightning Lane!',
+      body: (p, f) => `Tu Lightning Lane para ${p.rideName} es a las ${f.time(p.returnTime)} - ¡Ve ahora!`
+    }
+  },
+  ja: {
+    rideReady: {
+      title: '🎢 今が狙い目！',
+      body: (p, f) => p.otherCount === 0
+        ? `${p.rideName}：${f.reason(p.reason)}！`
+        : `${p.rideName}：${f.reason(p.reason)}。ほかに${p.otherCount}件のアトラクションも狙い目です！`
+    },
+    rideReopened: {
+      title: '🔧 運営再開！',
+      body: p => `${p.rideName}の運営が再開しました！${p.currentWait !== null ? `現在の待ち時間：${p.currentWait}分。` : ''}`
+    },
+    lightningLaneAvailable: {
+      title: '⚡ Lightning Lane 取得可能！',
+      body: (p, f) => `${p.rideName}の${QUEUE_LABELS[p.queue]}が再び取得可能になりました${p.returnStart ? `。次の利用時間：${f.time(p.returnStart)}` : ''}！`
+    },
+    lightningLaneEarlier: {
+      title: '⚡ Lightning Lane 取得可能！',
+      body: (p, f) => `${p.rideName}の${QUEUE_LABELS[p.queue]}の利用時間が${f.time(p.returnStart)}になりました（${f.time(p.returnBefore)}より前）！`
+    },
+    lightningLaneSoldOut: {
+      title: '💲 Lightning Lane 価格アラート',
+      body: p => `${p.rideName}のIndividual Lightning Laneが売り切れました。`
+    },
+    lightningLanePriceDrop: {
+      title: '💲 Lightning Lane 価格アラート',
+      body: (p, f) => `${p.rideName}のIndividual Lightning Laneが${f.price(p.current)}に値下がりしました（以前は${f.price(p.previous)}）！`
+    },
+    showReminder: {
+      title: '🎭 ショーに向かう時間です！',
+      body: (p, f) => `${p.showName}（${f.time(p.showTime)}開始）- 今すぐ出発しましょう！`
+    },
+    showFinalWarning: {
+      title: '🎭 まもなく開演！',
+      body: p => `${p.showName}はあと${p.minutes}分で始まります！`
+    },
+    diningReminder: {
+      title: '🍽️ レストランのリマインダー',
+      body: (p, f) => `${p.restaurantName}の予約は${f.time(p.time)}です。そろそろ向かいましょう！`
+    },
+    lightningLaneReminder: {
+      title: '⚡ Lightning Lane の時間です！',
+      body: (p, f) => `${p.rideName}のLightning Laneは${f.time(p.returnTime)}です。今すぐ向かいましょう！`
+    }
+  }
+};
+
+/**
+ * Helper: Supported language for a locale, falling back to English
+ */
+function languageOf(locale) {
+  const language = String(locale || '').split('-')[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : 'en';
+}
+
+/**
+ * Describe why an alert rule matched, e.g. for /ready-rides or a push body
+ */
+function describeReason(match, locale = 'en-US') {
+  return REASONS[languageOf(locale)][match.type](match);
+}
+
+/**
+ * Render one message's title and body
+ */
+function render(key, params, locale = 'en-US') {
+  const template = TEMPLATES[languageOf(locale)][key];
+  const formatters = {
+    time: iso => formatTime(iso, { timeZone: params.timeZone, locale }),
+    price: point => new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: point.currency || 'USD'
+    }).format(point.amount),
+    reason: match => describeReason(match, locale)
+  };
+
+  return {
+    title: template.title,
+    body: template.body(params, formatters)
+  };
+}
+
+/**
+ * Give every message with `text` a title and body in its user's locale.
+ * `allSettings` is the listed notificationSettings collection.
+ */
+function localize(messages, allSettings) {
+  return messages.map(({ text, ...message }) => {
+    if (!text) return message;
+    const { locale } = notificationSettings.resolveSettings(allSettings[message.userId]);
+    return { ...message, ...render(text.key, text.params, locale) };
+  });
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  describeReason,
+  render,
+  localize
+};
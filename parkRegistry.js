@@ -0,0 +1,64 @@
+// parkRegistry.js - The parks this server covers, loaded from config/parks.json
+const fs = require('fs');
+const path = require('path');
+const { PARK_TIMEZONE } = require('./parkTime');
+
+const REQUIRED_FIELDS = ['id', 'name', 'resort', 'themeParksId', 'timezone'];
+
+/**
+ * Each park entry carries its ThemeParks.wiki entity id, timezone, land
+ * boundaries and (optionally) how the Disney dining/shows scrapers label it.
+ * Adding a park is a config change; routes and refresh loops iterate here.
+ */
+class ParkRegistry {
+  constructor(configPath = process.env.PARKS_CONFIG_PATH || path.join(__dirname, 'config', 'parks.json')) {
+    this.configPath = configPath;
+    this.parks = this.load();
+  }
+
+  load() {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read park registry ${this.configPath}: ${error.message}`);
+    }
+
+    const parks = config.parks || [];
+    const seen = new Set();
+    parks.forEach(park => {
+      const missing = REQUIRED_FIELDS.filter(field => !park[field]);
+      if (missing.length > 0) {
+        throw new Error(`Park "${park.id || '?'}" in ${this.configPath} is missing ${missing.join(', ')}`);
+      }
+      if (seen.has(park.id)) {
+        throw new Error(`Duplicate park id "${park.id}" in ${this.configPath}`);
+      }
+      seen.add(park.id);
+      park.lands = park.lands || [];
+    });
+
+    return parks;
+  }
+
+  getParks() {
+    return this.parks;
+  }
+
+  getPark(parkId) {
+    return this.parks.find(park => park.id === parkId);
+  }
+
+  /**
+   * Parks the Disney dining/shows scrapers know how to label
+   */
+  getScrapedParks() {
+    return this.parks.filter(park => park.scraper);
+  }
+
+  getTimezone(parkId) {
+    return this.getPark(parkId)?.timezone || PARK_TIMEZONE;
+  }
+}
+
+module.exports = new ParkRegistry();
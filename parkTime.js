@@ -0,0 +1,89 @@
+// parkTime.js - Park-local date and time helpers
+const PARK_TIMEZONE = 'America/Los_Angeles';
+
+// Building an Intl.DateTimeFormat is far slower than using one, and
+// getLocalParts runs once per history sample and forecast hour
+const partsFormatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/**
+ * Helper: The shared formatter for a timezone
+ */
+function partsFormatter(timeZone) {
+  let formatter = partsFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    });
+    partsFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Split a timestamp into park-local date, hour, minute and weekday
+ */
+function getLocalParts(date, timeZone = PARK_TIMEZONE) {
+  const parts = {};
+  partsFormatter(timeZone).formatToParts(new Date(date)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: parts.weekday
+  };
+}
+
+/**
+ * Format a time of day in a park's timezone. The locale picks the wording
+ * and 12- or 24-hour clock ('en-US' -> "2:30 PM", 'es' -> "14:30").
+ */
+function formatTime(date, { timeZone = PARK_TIMEZONE, locale = 'en-US', hourOnly = false } = {}) {
+  return new Date(date).toLocaleTimeString(locale, {
+    hour: 'numeric',
+    ...(hourOnly ? {} : { minute: '2-digit' }),
+    timeZone
+  });
+}
+
+/**
+ * The instant a park-local date and HH:MM time happen. Found by guessing UTC
+ * and correcting by the offset the guess shows, which also covers DST days.
+ */
+function toInstant(date, time, timeZone = PARK_TIMEZONE) {
+  const [hour, minute] = time.split(':').map(Number);
+  const target = Date.parse(`${date}T00:00:00Z`) + (hour * 60 + minute) * 60000;
+  let instant = target;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalParts(instant, timeZone);
+    const shown = Date.parse(`${local.date}T00:00:00Z`) + (local.hour * 60 + local.minute) * 60000;
+    instant += target - shown;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Shift a YYYY-MM-DD date string by a number of days
+ */
+function addDays(date, days) {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+module.exports = {
+  PARK_TIMEZONE,
+  getLocalParts,
+  formatTime,
+  toInstant,
+  addDays
+};
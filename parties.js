@@ -0,0 +1,206 @@
+// parties.js - Parties of users sharing one day plan (shows, dining, Lightning Lanes)
+//
+// COLLECTIONS.parties, per party id:
+//   { id, name, ownerId, joinCode, createdAt,
+//     members: { userId: { displayName, joinedAt } } }
+// COLLECTIONS.partyPlans, per party id and date:
+//   { shows: [], dining: [], lightningLanes: { rideId: lane }, activity: [] }
+// Plan items look like the personal schedule entries plus who added and last
+// changed them. Reminder state is kept per member (`notifiedUserIds`), since
+// each member gets reminders on their own devices.
+const crypto = require('crypto');
+const { userStore, COLLECTIONS } = require('./userStore');
+
+const MAX_MEMBERS = 12;
+const MAX_ACTIVITY_PER_DAY = 100;
+
+// No 0/O or 1/I so codes survive being read aloud
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+/**
+ * Helper: Error with an HTTP status, for the routes to pass on
+ */
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Helper: Upper-case a join code and drop the spaces and dashes people type
+ */
+function normalizeJoinCode(code) {
+  return String(code).toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Helper: A join code no other party uses
+ */
+async function generateJoinCode() {
+  const inUse = new Set(Object.values(await userStore.list(COLLECTIONS.parties)).map(party => party.joinCode));
+  let code;
+  do {
+    code = Array.from({ length: JOIN_CODE_LENGTH }, () =>
+      JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]
+    ).join('');
+  } while (inUse.has(code));
+  return code;
+}
+
+async function createParty(ownerId, { name, displayName = null }) {
+  const now = new Date().toISOString();
+  const party = {
+    id: crypto.randomUUID(),
+    name,
+    ownerId,
+    joinCode: await generateJoinCode(),
+    createdAt: now,
+    members: {
+      [ownerId]: { displayName, joinedAt: now }
+    }
+  };
+  await userStore.set(COLLECTIONS.parties, party.id, party);
+  return party;
+}
+
+/**
+ * Join the party with `code`. Joining a party you are already in just
+ * updates your display name.
+ */
+async function joinParty(userId, code, displayName = null) {
+  const joinCode = normalizeJoinCode(code);
+  const match = Object.values(await userStore.list(COLLECTIONS.parties))
+    .find(party => party.joinCode === joinCode);
+  if (!match) throw statusError(404, 'Join code not found');
+
+  return userStore.update(COLLECTIONS.parties, match.id, (party) => {
+    if (!party || party.joinCode !== joinCode) throw statusError(404, 'Join code not found');
+
+    const member = party.members[userId];
+    if (member) {
+      if (displayName) member.displayName = displayName;
+      return party;
+    }
+    if (Object.keys(party.members).length >= MAX_MEMBERS) {
+      throw statusError(409, `Party is full (${MAX_MEMBERS} members)`);
+    }
+    party.members[userId] = { displayName, joinedAt: new Date().toISOString() };
+    return party;
+  });
+}
+
+/**
+ * The party, if `userId` is a member (null otherwise, so non-members can't
+ * tell a party exists)
+ */
+async function getForMember(partyId, userId) {
+  const party = await userStore.get(COLLECTIONS.parties, partyId);
+  return party?.members[userId] ? party : null;
+}
+
+async function listForUser(userId) {
+  return Object.values(await userStore.list(COLLECTIONS.parties))
+    .filter(party => party.members[userId])
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Give the party a new join code; the old one stops working
+ */
+async function rotateJoinCode(partyId) {
+  const joinCode = await generateJoinCode();
+  return userStore.update(COLLECTIONS.parties, partyId, (party) => {
+    if (!party) return party;
+    party.joinCode = joinCode;
+    return party;
+  });
+}
+
+/**
+ * Take a member out of the party. The owner role passes to the member who
+ * joined next; the party and its plans go away with the last member.
+ * Returns the party, or null once it is gone.
+ */
+async function removeMember(partyId, memberId) {
+  const party = await userStore.update(COLLECTIONS.parties, partyId, (stored) => {
+    if (!stored?.members[memberId]) return stored;
+    delete stored.members[memberId];
+
+    const remaining = Object.entries(stored.members)
+      .sort(([, a], [, b]) => a.joinedAt.localeCompare(b.joinedAt));
+    if (remaining.length === 0) return undefined;
+    if (stored.ownerId === memberId) stored.ownerId = remaining[0][0];
+    return stored;
+  });
+
+  if (!party) await userStore.remove(COLLECTIONS.partyPlans, partyId);
+  return party || null;
+}
+
+/**
+ * Helper: A day with nothing planned yet
+ */
+function emptyPlan() {
+  return { shows: [], dining: [], lightningLanes: {}, activity: [] };
+}
+
+async function getPlans(partyId) {
+  return await userStore.get(COLLECTIONS.partyPlans, partyId) || {};
+}
+
+async function getPlan(partyId, date) {
+  const plans = await getPlans(partyId);
+  return plans[date] || emptyPlan();
+}
+
+/**
+ * Change one day's plan on behalf of `userId`. `change(plan, now)` edits the
+ * plan in place and returns { action, kind, itemId, name } describing the
+ * edit for the activity log, or null when there was nothing to change.
+ * Returns what `change` returned.
+ */
+async function changePlan(partyId, date, userId, change) {
+  let result = null;
+  await userStore.update(COLLECTIONS.partyPlans, partyId, (plans) => {
+    const plan = plans?.[date] || emptyPlan();
+    const now = new Date().toISOString();
+    result = change(plan, now);
+    if (!result) return plans;
+
+    plan.activity = [{ at: now, userId, ...result }, ...plan.activity].slice(0, MAX_ACTIVITY_PER_DAY);
+    return { ...plans, [date]: plan };
+  });
+  return result;
+}
+
+/**
+ * Drop the plans `isPast(date, plan)` says are over (party days are not
+ * archived)
+ */
+async function dropPastPlans(isPast) {
+  const allPlans = await userStore.list(COLLECTIONS.partyPlans);
+  for (const [partyId, plans] of Object.entries(allPlans)) {
+    const pastDates = Object.keys(plans).filter(date => isPast(date, plans[date]));
+    if (pastDates.length === 0) continue;
+
+    await userStore.update(COLLECTIONS.partyPlans, partyId, (stored) => {
+      if (!stored) return stored;
+      pastDates.forEach(date => delete stored[date]);
+      return Object.keys(stored).length > 0 ? stored : undefined;
+    });
+  }
+}
+
+module.exports = {
+  createParty,
+  joinParty,
+  getForMember,
+  listForUser,
+  rotateJoinCode,
+  removeMember,
+  getPlans,
+  getPlan,
+  changePlan,
+  dropPastPlans
+};
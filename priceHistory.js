@@ -0,0 +1,168 @@
+// priceHistory.js - Individual Lightning Lane prices recorded per ride per day
+const fs = require('fs').promises;
+const path = require('path');
+const { getLocalParts } = require('./parkTime');
+const parkRegistry = require('./parkRegistry');
+const { dataPath } = require('./dataDir');
+
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW'];
+
+/**
+ * One JSON file per park-local day: { rideId: { rideName, parkId, points: [...] } }.
+ * A point is only added when the price or sold-out state changes, so a day's
+ * file holds the price curve rather than one entry per refresh.
+ */
+class PriceHistory {
+  constructor(baseDir = process.env.PRICE_HISTORY_DIR || dataPath('price-history')) {
+    this.baseDir = baseDir;
+    this.days = new Map();
+  }
+
+  /**
+   * Parse an upstream PAID_RETURN_TIME price into a numeric amount.
+   * ThemeParks.wiki sends { amount, currency, formatted } with amount in the
+   * currency's minor unit; older payloads only carry the formatted string
+   * (e.g. "$25.00").
+   */
+  parsePrice(price) {
+    if (!price) return null;
+
+    if (typeof price.amount === 'number') {
+      const minorUnits = ZERO_DECIMAL_CURRENCIES.includes(price.currency) ? 1 : 100;
+      return {
+        amount: price.amount / minorUnits,
+        currency: price.currency || 'USD',
+        formatted: price.formatted || null
+      };
+    }
+
+    const formatted = typeof price === 'string' ? price : price.formatted;
+    if (!formatted) return null;
+
+    const match = formatted.replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+
+    const symbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+    const symbol = Object.keys(symbols).find(s => formatted.includes(s));
+
+    return {
+      amount: parseFloat(match[1]),
+      currency: price.currency || (symbol ? symbols[symbol] : 'USD'),
+      formatted
+    };
+  }
+
+  /**
+   * Record the current paid Lightning Lane state of every ride in a park.
+   * Returns the rides whose price or availability changed.
+   */
+  async record(parkId, lands, timestamp = new Date().toISOString()) {
+    const { date } = getLocalParts(timestamp, parkRegistry.getTimezone(parkId));
+    const day = await this.loadDay(date);
+    const changes = [];
+
+    Object.values(lands).forEach(landRides => {
+      landRides.forEach(ride => {
+        if (!ride.paidReturnState) return;
+
+        const soldOut = ride.paidReturnState !== 'AVAILABLE';
+        const price = soldOut || ride.paidReturnPriceAmount === null
+          ? null
+          : { amount: ride.paidReturnPriceAmount, currency: ride.paidReturnPriceCurrency };
+        const entry = day[ride.id] || (day[ride.id] = { rideName: ride.name, parkId, points: [] });
+        const last = entry.points[entry.points.length - 1];
+
+        if (last && last.soldOut === soldOut && last.amount === (price?.amount ?? null)) return;
+
+        const point = {
+          t: timestamp,
+          amount: price?.amount ?? null,
+          currency: price?.currency ?? last?.currency ?? null,
+          soldOut
+        };
+        entry.points.push(point);
+        changes.push({ parkId, rideId: ride.id, rideName: ride.name, previous: last || null, current: point });
+      });
+    });
+
+    if (changes.length > 0) await this.saveDay(date, day);
+    return changes;
+  }
+
+  /**
+   * Price curve for one ride on one park-local date
+   */
+  async getDay(rideId, date) {
+    const day = this.days.get(date) || await this.readDay(date);
+    return day[rideId] || null;
+  }
+
+  /**
+   * Daily min/max/opening price and sell-out time for a ride over a date range
+   */
+  async getDailySummary(rideId, fromDate, toDate) {
+    const files = await this.listDates();
+    const summary = [];
+
+    for (const date of files.filter(d => d >= fromDate && d <= toDate)) {
+      const entry = await this.getDay(rideId, date);
+      if (!entry) continue;
+
+      const priced = entry.points.filter(point => point.amount !== null);
+      const firstSoldOut = entry.points.find(point => point.soldOut);
+      summary.push({
+        date,
+        currency: priced[0]?.currency || null,
+        openingPrice: priced[0]?.amount ?? null,
+        minPrice: priced.length > 0 ? Math.min(...priced.map(p => p.amount)) : null,
+        maxPrice: priced.length > 0 ? Math.max(...priced.map(p => p.amount)) : null,
+        soldOutAt: firstSoldOut ? firstSoldOut.t : null
+      });
+    }
+
+    return summary;
+  }
+
+  async listDates() {
+    try {
+      const files = await fs.readdir(this.baseDir);
+      return files.filter(f => f.endsWith('.json')).map(f => f.replace('.json', '')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * A day being recorded into. Only the current and previous day are written
+   * to, so only those are kept in memory; reads of older days go through
+   * readDay and never push them out.
+   */
+  async loadDay(date) {
+    if (this.days.has(date)) return this.days.get(date);
+
+    const day = await this.readDay(date);
+    this.days.set(date, day);
+    if (this.days.size > 2) this.days.delete(this.days.keys().next().value);
+    return day;
+  }
+
+  async readDay(date) {
+    try {
+      const fileData = await fs.readFile(path.join(this.baseDir, `${date}.json`), 'utf8');
+      return JSON.parse(fileData);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return {};
+    }
+  }
+
+  async saveDay(date, day) {
+    const file = path.join(this.baseDir, `${date}.json`);
+    await fs.mkdir(this.baseDir, { recursive: true });
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(day));
+    await fs.rename(`${file}.tmp`, file);
+  }
+}
+
+module.exports = new PriceHistory();
@@ -0,0 +1,267 @@
+// pushDelivery.js - Sends Expo pushes, tracks each message until Expo confirms delivery
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Expo } = require('expo-server-sdk');
+const { removeDevicesWithToken } = require('./devices');
+const { dataPath } = require('./dataDir');
+
+const MAX_ATTEMPTS = 5;
+// Retries wait 1, 2, 4, 8 minutes
+const RETRY_BASE_MS = 60 * 1000;
+// Expo suggests waiting ~15 minutes before asking for receipts
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+// Expo drops receipts after a day; past that the outcome is unknown
+const RECEIPT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_MS = 48 * 60 * 60 * 1000;
+
+// Ticket/receipt errors worth another attempt; anything else is final
+const TRANSIENT_ERRORS = ['MessageRateExceeded'];
+
+/**
+ * Every push gets a delivery record:
+ *   pending -> sent (Expo accepted it, ticket id kept) -> delivered | failed
+ * Transient failures go to `retrying` with exponential backoff until
+ * MAX_ATTEMPTS; `unknown` means the receipt never showed up.
+ */
+class PushDelivery {
+  constructor(filePath = process.env.PUSH_DELIVERY_PATH || dataPath('push-deliveries.json')) {
+    this.filePath = filePath;
+    this.expo = new Expo();
+    this.records = {}; // { deliveryId: record }
+    this.dirty = false;
+    this.writing = null;
+  }
+
+  async init() {
+    try {
+      const fileData = await fs.readFile(this.filePath, 'utf8');
+      this.records = JSON.parse(fileData).records || {};
+      console.log('📂 Loaded push delivery log from file');
+    } catch (error) {
+      console.log('📂 No push delivery log file found, starting empty');
+    }
+  }
+
+  /**
+   * Send messages (each with the `userId` and `deviceId` it is for, which
+   * are kept off the Expo payload)
+   */
+  async send(messages) {
+    if (messages.length === 0) return;
+
+    const now = new Date().toISOString();
+    const records = messages.map(({ userId, deviceId, ...message }) => {
+      const record = {
+        id: crypto.randomUUID(),
+        userId,
+        deviceId,
+        type: message.data?.type || null,
+        message,
+        status: 'pending',
+        attempts: 0,
+        ticketId: null,
+        error: null,
+        createdAt: now,
+        sentAt: null,
+        deliveredAt: null,
+        nextAttemptAt: null
+      };
+      this.records[record.id] = record;
+      return record;
+    });
+
+    await this.deliver(records);
+    await this.save();
+  }
+
+  async deliver(records) {
+    const payloads = records.map(record => ({
+      ...record.message,
+      data: { ...record.message.data, deliveryId: record.id }
+    }));
+
+    let offset = 0;
+    for (const chunk of this.expo.chunkPushNotifications(payloads)) {
+      const chunkRecords = records.slice(offset, offset + chunk.length);
+      offset += chunk.length;
+      chunkRecords.forEach(record => record.attempts++);
+
+      try {
+        const tickets = await this.expo.sendPushNotificationsAsync(chunk);
+        console.log(`✓ Sent ${tickets.length} notifications`);
+
+        for (const [index, ticket] of tickets.entries()) {
+          const record = chunkRecords[index];
+          if (ticket.status === 'ok') {
+            record.status = 'sent';
+            record.ticketId = ticket.id;
+            record.error = null;
+            record.sentAt = new Date().toISOString();
+            record.nextAttemptAt = null;
+          } else {
+            console.error(`✗ Error sending notification: ${ticket.message}`);
+            await this.handleError(record, ticket.details?.error || 'Unknown', ticket.message);
+          }
+        }
+      } catch (error) {
+        // Network errors and Expo 5xx/429s: the whole chunk can go again
+        console.error('✗ Error sending push notifications:', error.message);
+        chunkRecords.forEach(record => this.scheduleRetry(record, error.message));
+      }
+    }
+  }
+
+  async handleError(record, code, message) {
+    if (TRANSIENT_ERRORS.includes(code)) {
+      this.scheduleRetry(record, code);
+    } else {
+      record.status = 'failed';
+      record.error = message ? `${code}: ${message}` : code;
+      record.nextAttemptAt = null;
+    }
+
+    if (code === 'DeviceNotRegistered') {
+      // Expo already answered for the chunk; a cleanup failure must not send it again
+      try {
+        await removeDevicesWithToken(record.message.to);
+      } catch (error) {
+        console.error('✗ Error removing unregistered device:', error.message);
+      }
+    }
+  }
+
+  scheduleRetry(record, error) {
+    record.error = error;
+    if (record.attempts >= MAX_ATTEMPTS) {
+      record.status = 'failed';
+      record.nextAttemptAt = null;
+      return;
+    }
+    record.status = 'retrying';
+    record.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (record.attempts - 1)).toISOString();
+  }
+
+  /**
+   * Resend messages whose backoff has elapsed
+   */
+  async retryDue(now = new Date()) {
+    const due = Object.values(this.records).filter(record =>
+      record.status === 'retrying' && new Date(record.nextAttemptAt) <= now
+    );
+    if (due.length === 0) return;
+
+    console.log(`🔁 Retrying ${due.length} push notifications`);
+    await this.deliver(due);
+    await this.save();
+  }
+
+  /**
+   * Fetch receipts for sent messages and settle them as delivered or failed
+   */
+  async checkReceipts(now = new Date()) {
+    const waiting = Object.values(this.records).filter(record =>
+      record.status === 'sent' && now - new Date(record.sentAt) >= RECEIPT_DELAY_MS
+    );
+    if (waiting.length === 0) return;
+
+    const byTicket = Object.fromEntries(waiting.map(record => [record.ticketId, record]));
+    let settled = 0;
+
+    for (const chunk of this.expo.chunkPushNotificationReceiptIds(Object.keys(byTicket))) {
+      try {
+        const receipts = await this.expo.getPushNotificationReceiptsAsync(chunk);
+
+        for (const [ticketId, receipt] of Object.entries(receipts)) {
+          const record = byTicket[ticketId];
+          if (!record) continue;
+          settled++;
+
+          if (receipt.status === 'ok') {
+            record.status = 'delivered';
+            record.deliveredAt = new Date().toISOString();
+          } else {
+            console.error(`✗ Push receipt error: ${receipt.message}`);
+            await this.handleError(record, receipt.details?.error || 'Unknown', receipt.message);
+          }
+        }
+      } catch (error) {
+        console.error('✗ Error fetching push receipts:', error.message);
+      }
+    }
+
+    waiting.forEach(record => {
+      if (record.status === 'sent' && now - new Date(record.sentAt) >= RECEIPT_EXPIRY_MS) {
+        record.status = 'unknown';
+      }
+    });
+
+    console.log(`🧾 Checked ${waiting.length} push receipts, ${settled} settled`);
+    await this.save();
+  }
+
+  /**
+   * Delivery status as shown to the user (no push token)
+   */
+  toStatus(record) {
+    return {
+      id: record.id,
+      type: record.type,
+      deviceId: record.deviceId,
+      notificationId: record.message.data?.notificationId || null,
+      title: record.message.title,
+      body: record.message.body,
+      status: record.status,
+      attempts: record.attempts,
+      error: record.error,
+      createdAt: record.createdAt,
+      sentAt: record.sentAt,
+      deliveredAt: record.deliveredAt,
+      nextAttemptAt: record.nextAttemptAt
+    };
+  }
+
+  get(userId, deliveryId) {
+    const record = this.records[deliveryId];
+    return record && record.userId === userId ? this.toStatus(record) : null;
+  }
+
+  listForUser(userId) {
+    return Object.values(this.records)
+      .filter(record => record.userId === userId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(record => this.toStatus(record));
+  }
+
+  save() {
+    this.dirty = true;
+    if (!this.writing) {
+      this.writing = this.flush().finally(() => {
+        this.writing = null;
+      });
+    }
+    return this.writing;
+  }
+
+  async flush() {
+    // Keep writing until no change arrived during the previous write, so two
+    // saves never write the temp file at the same time
+    while (this.dirty) {
+      this.dirty = false;
+      const cutoff = Date.now() - RETENTION_MS;
+      Object.entries(this.records).forEach(([id, record]) => {
+        if (new Date(record.createdAt).getTime() < cutoff) delete this.records[id];
+      });
+
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.writeFile(`${this.filePath}.tmp`, JSON.stringify({ records: this.records }));
+        await fs.rename(`${this.filePath}.tmp`, this.filePath);
+      } catch (error) {
+        console.error('Error saving push delivery log:', error);
+      }
+    }
+  }
+}
+
+module.exports = new PushDelivery();
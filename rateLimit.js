@@ -0,0 +1,65 @@
+// rateLimit.js - In-memory fixed-window rate limiting middleware
+
+// How often expired windows are swept out of memory
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a rate limiting middleware allowing `max` requests per `windowMs`
+ * for each key returned by `keyGenerator(req)` (client IP by default).
+ * Counters live in this process only, so each dyno enforces its own limit.
+ * Rejected requests get a 429 with Retry-After.
+ */
+function createRateLimiter({ name, windowMs, max, keyGenerator = req => req.ip }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, CLEANUP_INTERVAL_MS);
+  // Never keep the process alive just for cleanup
+  cleanup.unref();
+
+  return function rateLimit(req, res, next) {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - window.count, 0)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (window.count > max) {
+      if (window.count === max + 1) {
+        console.warn(`🚦 Rate limit "${name}" hit by ${key}`);
+      }
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too many requests',
+        retryAfterSeconds: resetSeconds
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Key for limits that follow the signed-in user (`req.user` from
+ * auth.authenticate), so guests sharing an IP don't share a count.
+ * Requests without a valid token fall back to the client IP.
+ */
+function userOrIpKey(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+module.exports = { createRateLimiter, userOrIpKey };
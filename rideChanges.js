@@ -0,0 +1,54 @@
+// rideChanges.js - Park data versions: when each ride last changed, for ?since= deltas and ETags
+
+// Ride fields that count as a change for ?since= deltas
+const DELTA_FIELDS = ['currentWait', 'status', 'returnTime', 'returnState', 'paidReturnTime', 'paidReturnState'];
+
+/**
+ * A version is a park's cache refresh time in ms. For each park this keeps
+ * the version at which every ride's wait, status or return time last changed:
+ *   { parkId: { trackedSince: version, rides: { rideId: { version, fingerprint } } } }
+ */
+class RideChanges {
+  constructor() {
+    this.parks = {};
+  }
+
+  /**
+   * Record a park refresh made at `version`
+   */
+  track(parkId, lands, version) {
+    const tracked = this.parks[parkId] || (this.parks[parkId] = { trackedSince: version, rides: {} });
+
+    Object.values(lands).forEach(landRides => {
+      landRides.forEach(ride => {
+        const fingerprint = DELTA_FIELDS.map(field => ride[field] ?? '').join('|');
+        if (tracked.rides[ride.id]?.fingerprint !== fingerprint) {
+          tracked.rides[ride.id] = { version, fingerprint };
+        }
+      });
+    });
+  }
+
+  /**
+   * The rides that changed after `since`. Versions from before this process
+   * started tracking can't be diffed, so those get every ride and `full: true`.
+   */
+  changedSince(parkId, rides, since) {
+    const tracked = this.parks[parkId];
+    const full = !tracked || since < tracked.trackedSince;
+    return {
+      full,
+      rides: full ? rides : rides.filter(ride => tracked.rides[ride.id]?.version > since)
+    };
+  }
+
+  /**
+   * Weak ETag for a park data response at a version, so clients can
+   * revalidate with If-None-Match (Express answers 304 when it matches)
+   */
+  etag(parkId, version, variant = '') {
+    return `W/"${parkId}-${version}${variant}"`;
+  }
+}
+
+module.exports = new RideChanges();
@@ -0,0 +1,174 @@
+// rideStats.js - Historical wait statistics built from recorded wait history
+const waitHistory = require('./waitHistory');
+const { addDays } = require('./parkTime');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DEFAULT_WINDOW_DAYS = 90;
+const TYPICAL_WINDOW_DAYS = 56;
+const MIN_TYPICAL_SAMPLES = 30;
+
+/**
+ * Helper: Day of week (0 = Sunday) for a YYYY-MM-DD date string
+ */
+function weekdayOf(date) {
+  return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Merge hourly aggregates into one histogram-backed summary
+ */
+function combine(aggregates) {
+  const combined = { operatingSamples: 0, sum: 0, histogram: {} };
+
+  aggregates.forEach(aggregate => {
+    combined.operatingSamples += aggregate.operatingSamples;
+    combined.sum += aggregate.sum;
+    Object.entries(aggregate.histogram).forEach(([bucket, count]) => {
+      combined.histogram[bucket] = (combined.histogram[bucket] || 0) + count;
+    });
+  });
+
+  return combined;
+}
+
+/**
+ * Percentile from a histogram of 5-minute buckets (bucket lower bounds, which
+ * match the 5-minute steps ThemeParks.wiki reports waits in)
+ */
+function percentile(histogram, total, p) {
+  if (total === 0) return null;
+  const target = Math.ceil(total * p);
+  let seen = 0;
+
+  const buckets = Object.keys(histogram).map(Number).sort((a, b) => a - b);
+  for (const bucket of buckets) {
+    seen += histogram[bucket];
+    if (seen >= target) return bucket;
+  }
+  return buckets[buckets.length - 1];
+}
+
+function summarize(aggregates) {
+  const combined = combine(aggregates);
+  const total = combined.operatingSamples;
+
+  return {
+    samples: total,
+    mean: total > 0 ? Math.round(combined.sum / total) : null,
+    p25: percentile(combined.histogram, total, 0.25),
+    p50: percentile(combined.histogram, total, 0.5),
+    p75: percentile(combined.histogram, total, 0.75),
+    p90: percentile(combined.histogram, total, 0.9)
+  };
+}
+
+class RideStats {
+  constructor() {
+    // { rideId: { byWeekdayHour: { 'weekday-hour': mean }, byHour: { hour: mean } } }
+    this.typicalWaits = {};
+    this.typicalUpdated = null;
+  }
+
+  /**
+   * Percentile waits by hour of day and day of week for one ride
+   */
+  async getRideStats(parkId, rideId, { today, days = DEFAULT_WINDOW_DAYS } = {}) {
+    const toDate = addDays(today, -1);
+    const fromDate = addDays(today, -days);
+    const aggregates = (await waitHistory.getHourlyAggregates(rideId, fromDate, toDate))
+      .filter(aggregate => aggregate.park === parkId);
+
+    const byHour = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const hourAggregates = aggregates.filter(a => a.hour === hour);
+      const summary = summarize(hourAggregates);
+      if (summary.samples > 0) byHour.push({ hour, ...summary });
+    }
+
+    const byWeekday = [];
+    WEEKDAYS.forEach((weekday, index) => {
+      const summary = summarize(aggregates.filter(a => weekdayOf(a.date) === index));
+      if (summary.samples > 0) byWeekday.push({ weekday, ...summary });
+    });
+
+    // Each day's lowest operating wait, then the median across days
+    const dailyMinimums = {};
+    aggregates.forEach(aggregate => {
+      if (aggregate.min === null) return;
+      const current = dailyMinimums[aggregate.date];
+      dailyMinimums[aggregate.date] = current === undefined ? aggregate.min : Math.min(current, aggregate.min);
+    });
+    const minimums = Object.values(dailyMinimums).sort((a, b) => a - b);
+    const typicalDailyMinimum = minimums.length > 0 ? minimums[Math.floor((minimums.length - 1) / 2)] : null;
+
+    const lowestHour = byHour.reduce((best, entry) => {
+      if (!best || entry.p50 < best.p50 || (entry.p50 === best.p50 && entry.mean < best.mean)) return entry;
+      return best;
+    }, null);
+
+    return {
+      rideId,
+      parkId,
+      from: fromDate,
+      to: toDate,
+      daysWithData: Object.keys(dailyMinimums).length,
+      byHour,
+      byWeekday,
+      typicalDailyMinimum,
+      lowestWaitHour: lowestHour ? { hour: lowestHour.hour, p50: lowestHour.p50 } : null
+    };
+  }
+
+  /**
+   * Rebuild the table of typical waits used to fill `avgWait`. Run daily after
+   * wait history is downsampled.
+   */
+  async refreshTypicalWaits(today) {
+    const fromDate = addDays(today, -TYPICAL_WINDOW_DAYS);
+    const toDate = addDays(today, -1);
+    const rideIds = new Set();
+
+    for (const month of waitHistory.monthsBetween(fromDate, toDate)) {
+      Object.keys(await waitHistory.getRidesForMonth(month)).forEach(id => rideIds.add(id));
+    }
+
+    const typicalWaits = {};
+    for (const rideId of rideIds) {
+      const aggregates = await waitHistory.getHourlyAggregates(rideId, fromDate, toDate);
+      const byWeekdayHour = {};
+      const byHour = {};
+
+      for (let hour = 0; hour < 24; hour++) {
+        const hourAggregates = aggregates.filter(a => a.hour === hour);
+        const hourSummary = summarize(hourAggregates);
+        if (hourSummary.samples >= MIN_TYPICAL_SAMPLES) byHour[hour] = hourSummary.mean;
+
+        for (let weekday = 0; weekday < 7; weekday++) {
+          const summary = summarize(hourAggregates.filter(a => weekdayOf(a.date) === weekday));
+          if (summary.samples >= MIN_TYPICAL_SAMPLES) byWeekdayHour[`${weekday}-${hour}`] = summary.mean;
+        }
+      }
+
+      typicalWaits[rideId] = { byWeekdayHour, byHour };
+    }
+
+    this.typicalWaits = typicalWaits;
+    this.typicalUpdated = new Date().toISOString();
+    console.log(`📈 Refreshed typical waits for ${rideIds.size} rides`);
+  }
+
+  /**
+   * Typical wait for a ride at a park-local date and hour, or null when there
+   * is not enough history yet
+   */
+  getTypicalWait(rideId, date, hour) {
+    const typical = this.typicalWaits[rideId];
+    if (!typical) return null;
+
+    const weekdayMean = typical.byWeekdayHour[`${weekdayOf(date)}-${hour}`];
+    if (weekdayMean !== undefined) return weekdayMean;
+    return typical.byHour[hour] ?? null;
+  }
+}
+
+module.exports = new RideStats();
@@ -1,81 +1,130 @@
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
+const compression = require('compression');
 const cron = require('node-cron');
 const { Expo } = require('expo-server-sdk');
 const diningService = require('./simplifiedDiningScraper');
 const showsService = require('./simplifiedShowsScraper'); // ADD THIS
+const { userStore, COLLECTIONS } = require('./userStore');
+const waitHistory = require('./waitHistory');
+const rideStats = require('./rideStats');
+const downtimeTracker = require('./downtimeTracker');
+const { PARK_TIMEZONE, getLocalParts, formatTime, toInstant, addDays } = require('./parkTime');
+const alertRules = require('./alertRules');
+const priceHistory = require('./priceHistory');
+const forecastModel = require('./forecastModel');
+const landResolver = require('./landResolver');
+const parkRegistry = require('./parkRegistry');
+const auth = require('./auth');
+const { createRateLimiter, userOrIpKey } = require('./rateLimit');
+const waitTimeStream = require('./waitTimeStream');
+const rideChanges = require('./rideChanges');
+const notificationSettings = require('./notificationSettings');
+const pushDelivery = require('./pushDelivery');
+const notificationInbox = require('./notificationInbox');
+const notificationText = require('./notificationText');
+const parties = require('./parties');
+const itinerary = require('./itinerary');
+const { hasPushDevice, fanOut, removeDevice, removeDevicesWithToken, migrateLegacyTokens } = require('./devices');
+const { validate, sendValidationError, handleBodyParseError, schemas } = require('./validation');
+const { checkDataDir } = require('./dataDir');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Initialize Expo push notification client
-const expo = new Expo();
+// Rate limits, per minute unless noted. Guests on park Wi-Fi or a carrier
+// NAT share one IP, so the real limits follow the signed-in user and the
+// per-IP limits are only a loose backstop.
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const ipLimiter = createRateLimiter({
+  name: 'ip',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_PER_IP, 10) || 3000
+});
+const clientLimiter = createRateLimiter({
+  name: 'client',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_PER_CLIENT, 10) || 300,
+  keyGenerator: userOrIpKey
+});
+const userLimiter = createRateLimiter({
+  name: 'user',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_PER_USER, 10) || 60,
+  keyGenerator: req => req.user?.id || req.params.userId
+});
+// Hourly, per IP: every registration creates an account
+const registerLimiter = createRateLimiter({
+  name: 'register',
+  windowMs: 60 * RATE_LIMIT_WINDOW_MS,
+  max: parseInt(process.env.RATE_LIMIT_REGISTER_PER_IP, 10) || 100
+});
+// Shared by all callers: each refresh hits ThemeParks.wiki for every park
+const refreshLimiter = createRateLimiter({
+  name: 'refresh',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: 2,
+  keyGenerator: () => 'refresh'
+});
+
+// Heroku's router sits in front of the dyno; trust it for req.ip
+if (process.env.DYNO) {
+  app.set('trust proxy', 1);
+}
 
 // Middleware
 app.use(cors());
+app.use(compression({
+  // Gzip would buffer the event stream until the connection closes
+  filter: (req, res) => !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream') &&
+    compression.filter(req, res)
+}));
 app.use(express.json());
+app.use(handleBodyParseError);
+app.use('/api', ipLimiter);
+app.use(auth.authenticate);
+app.use('/api', clientLimiter);
+app.use('/api/users/:userId', auth.requireSelf, userLimiter);
+
+// In-memory cache for wait times, one entry per park in the registry
+let parkDataCache = Object.fromEntries(parkRegistry.getParks().map(park => [
+  park.id,
+  { name: park.name, lands: {}, shows: {}, restaurants: {}, forecasts: {}, lastUpdated: null, version: 0 }
+]));
 
-// In-memory cache for wait times
-let parkDataCache = {
-  disneyland: { lands: {}, shows: {}, restaurants: {}, lastUpdated: null },
-  californiaadventure: { lands: {}, shows: {}, restaurants: {}, lastUpdated: null }
-};
+// Operating hours, early entry and ticketed events per park, keyed by park-local date
+let parkScheduleCache = Object.fromEntries(parkRegistry.getParks().map(park => [
+  park.id,
+  { days: {}, lastUpdated: null }
+]));
 
-// User preferences storage (in production, use a database)
-let userPreferences = {};
+// How far ahead /api/parks/:parkId/hours reports
+const PARK_HOURS_DAYS = 30;
 
-// Device tokens for push notifications (in production, use a database)
-let userDeviceTokens = {};
+// Day planner (/api/users/:userId/plan)
+const PLAN_MAX_RIDES = 20;
+const PLAN_DEFAULT_HOURS = { open: '08:00', close: '22:00' }; // when the park schedule is unknown
+const PLAN_DEFAULT_WAIT_MINUTES = 30; // no live, forecast or typical wait to go on
+const PLAN_DOWN_RECHECK_MINUTES = 60; // a ride that is down now is planned no sooner
 
-// Track which rides have been notified to avoid spam
-let notifiedRides = {};
+// User state (preferences, device tokens, schedules, archives) lives in userStore
 
-// User show schedules by date (in production, use a database)
-let userShowSchedules = {}; // { userId: { 'YYYY-MM-DD': [{ showId, showName, selectedTime, travelTime, notified, finalWarningNotified }] } }
+// Ride status transitions seen by refreshes, waiting for the notification pass
+let pendingTransitions = [];
 
-// User dining schedules by date (in production, use a database)
-let userDiningSchedules = {}; // { userId: { 'YYYY-MM-DD': [{ id, restaurantName, time, type, travelTime, notified }] } }
+// Individual Lightning Lane price changes waiting for the notification pass
+let pendingPriceChanges = [];
 
-// User Lightning Lane times (in production, use a database)
-let userLightningLanes = {}; // { userId: { 'YYYY-MM-DD': { rideId: { rideName, returnTime, travelTime, notified } } } }
+// Each ride as it was in the refresh before the current one (for change-based alerts)
+let previousRides = {};
 
-// Archived schedules (in production, use a database)
-let archivedSchedules = {}; // { userId: { 'YYYY-MM-DD': { shows: [], dining: [], lightningLanes: {} } } }
+// Don't repeat a "ride reopened" push for the same ride within this window
+const REOPEN_NOTIFY_COOLDOWN_MINUTES = 30;
 
 // ThemeParks.wiki API base URL
 const THEMEPARKS_API = 'https://api.themeparks.wiki/v1';
 
-// Park IDs from ThemeParks.wiki
-const PARK_IDS = {
-  disneyland: '7340550b-c14d-4def-80bb-acdb51d49a66',
-  californiaadventure: '832fcd51-ea19-4e77-85c7-75d5843b127c'
-};
-
-// Land mappings for Disneyland
-const DISNEYLAND_LAND_MAP = {
-  'mainstreet': 'Main Street U.S.A.',
-  'adventureland': 'Adventureland',
-  'frontierland': 'Frontierland',
-  'fantasyland': 'Fantasyland',
-  'tomorrowland': 'Tomorrowland',
-  'neworleanssquare': 'New Orleans Square',
-  'crittercountry': 'Critter Country',
-  'mickeystoontown': "Mickey's Toontown",
-  'starwars': 'Star Wars: Galaxy\'s Edge'
-};
-
-// Land mappings for California Adventure
-const DCA_LAND_MAP = {
-  'buenavista': 'Buena Vista Street',
-  'hollywoodland': 'Hollywood Land',
-  'avengers': 'Avengers Campus',
-  'carsland': 'Cars Land',
-  'grizzlypeak': 'Grizzly Peak',
-  'pixarpier': 'Pixar Pier',
-  'paradisegardens': 'Paradise Gardens'
-};
-
 /**
  * Fetch park data from ThemeParks.wiki API
  */
@@ -101,30 +150,111 @@ async function fetchParkData(parkId) {
   }
 }
 
+/**
+ * Fetch a park's operating schedule from ThemeParks.wiki
+ */
+async function fetchParkSchedule(parkId) {
+  try {
+    const response = await axios.get(
+      `${THEMEPARKS_API}/entity/${parkId}/schedule`,
+      { timeout: 10000 }
+    );
+    return response.data;
+  } catch (error) {
+    console.error(`Error fetching park schedule for ${parkId}:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Group schedule entries by date into regular hours, early entry and events
+ */
+function organizeParkSchedule(scheduleData) {
+  const days = {};
+
+  (scheduleData.schedule || []).forEach(entry => {
+    if (!entry.date) return;
+    const day = days[entry.date] || (days[entry.date] = {
+      date: entry.date,
+      isOpen: false,
+      openingTime: null,
+      closingTime: null,
+      earlyEntry: [],
+      events: []
+    });
+
+    if (entry.type === 'OPERATING') {
+      // Some days come back as several operating blocks; report the full span
+      day.isOpen = true;
+      if (!day.openingTime || entry.openingTime < day.openingTime) day.openingTime = entry.openingTime;
+      if (!day.closingTime || entry.closingTime > day.closingTime) day.closingTime = entry.closingTime;
+    } else if (entry.type === 'EXTRA_HOURS') {
+      day.earlyEntry.push({
+        name: entry.description || 'Early Entry',
+        openingTime: entry.openingTime,
+        closingTime: entry.closingTime
+      });
+    } else if (entry.type === 'TICKETED_EVENT' || entry.type === 'PRIVATE_EVENT') {
+      day.events.push({
+        name: entry.description || 'Special Event',
+        type: entry.type,
+        openingTime: entry.openingTime,
+        closingTime: entry.closingTime
+      });
+    }
+  });
+
+  return days;
+}
+
+/**
+ * Update the schedule cache for all parks. A failed fetch keeps the old schedule.
+ */
+async function updateParkSchedules() {
+  for (const park of parkRegistry.getParks()) {
+    try {
+      const scheduleData = await fetchParkSchedule(park.themeParksId);
+      parkScheduleCache[park.id] = {
+        days: organizeParkSchedule(scheduleData),
+        lastUpdated: new Date().toISOString()
+      };
+      console.log(`🕘 Updated ${park.id} schedule - ${Object.keys(parkScheduleCache[park.id].days).length} days`);
+    } catch (error) {
+      console.error(`✗ Failed to update ${park.id} schedule:`, error.message);
+    }
+  }
+}
+
 /**
  * Process and organize park data into lands, shows, and restaurants
  */
-function organizeParkData(parkData, landMap) {
+function organizeParkData(parkData, parkKey) {
+  const timeZone = parkRegistry.getTimezone(parkKey);
   const lands = {};
   const shows = {};
   const restaurants = {};
+  const forecasts = {};
+  const locations = {};
   
   if (!parkData.children || !parkData.children.children) {
-    return { lands, shows, restaurants };
+    return { lands, shows, restaurants, forecasts, locations };
   }
 
+  const today = getTodayDateString(timeZone);
+  const currentParkHour = getParkHour(timeZone);
+
   parkData.children.children.forEach(entity => {
-    // Determine land based on entity name or tags
-    let landName = 'Other';
-    if (entity.name) {
-      const nameLower = entity.name.toLowerCase();
-      for (const [key, value] of Object.entries(landMap)) {
-        if (nameLower.includes(key)) {
-          landName = value;
-          break;
-        }
-      }
-    }
+    const coordinates = entity.location ? {
+      lat: entity.location.latitude,
+      lng: entity.location.longitude
+    } : null;
+    if (coordinates) locations[entity.id] = coordinates;
+    
+    const landName = landResolver.resolve(parkKey, {
+      id: entity.id,
+      name: entity.name,
+      coordinates
+    });
 
     // Find live data for this entity
     const liveData = parkData.liveData.liveData?.find(
@@ -137,14 +267,19 @@ function organizeParkData(parkData, landMap) {
         id: entity.id,
         name: entity.name,
         currentWait: 0,
-        avgWait: 30,
+        avgWait: null,
+        avgWaitSource: null,
         status: 'CLOSED',
         returnTime: null,
+        returnStart: null,
         returnState: null,
         singleRiderWait: null,
         paidReturnState: null,
         paidReturnTime: null,
+        paidReturnStart: null,
         paidReturnPrice: null,
+        paidReturnPriceAmount: null,
+        paidReturnPriceCurrency: null,
         paidStandbyWait: null,
         forecastWait1: null,
         forecastWait2: null,
@@ -185,12 +320,8 @@ function organizeParkData(parkData, landMap) {
           } else if (returnQueue.state === 'TEMP_FULL') {
             ride.returnTime = 'Temporarily Full';
           } else if (returnQueue.state === 'AVAILABLE') {
-            const returnDate = new Date(returnQueue.returnStart);
-            ride.returnTime = returnDate.toLocaleTimeString('en-US', {
-              hour: 'numeric',
-              minute: '2-digit',
-              timeZone: 'America/Los_Angeles'
-            });
+            ride.returnStart = returnQueue.returnStart || null;
+            ride.returnTime = formatTime(returnQueue.returnStart, { timeZone });
           }
         }
         
@@ -204,13 +335,14 @@ function organizeParkData(parkData, landMap) {
           } else if (paidReturnQueue.state === 'TEMP_FULL') {
             ride.paidReturnTime = 'Temporarily Full';
           } else if (paidReturnQueue.returnStart) {
-            const paidReturnDate = new Date(paidReturnQueue.returnStart);
-            ride.paidReturnTime = paidReturnDate.toLocaleTimeString('en-US', {
-              hour: 'numeric',
-              minute: '2-digit',
-              timeZone: 'America/Los_Angeles'
-            });
+            ride.paidReturnStart = paidReturnQueue.returnStart;
+            ride.paidReturnTime = formatTime(paidReturnQueue.returnStart, { timeZone });
             ride.paidReturnPrice = paidReturnQueue.price?.formatted || '';
+            const parsedPrice = priceHistory.parsePrice(paidReturnQueue.price);
+            if (parsedPrice) {
+              ride.paidReturnPriceAmount = parsedPrice.amount;
+              ride.paidReturnPriceCurrency = parsedPrice.currency;
+            }
           }
         }
 
@@ -223,47 +355,48 @@ function organizeParkData(parkData, landMap) {
 
       // Process forecast data if available
       if (liveData && liveData.forecast && liveData.forecast.length > 0) {
-        const now = new Date();
-        const currentHour = now.getHours();
-        
-        const currentForecast = liveData.forecast.find(f => {
-          const forecastDate = new Date(f.time);
-          return forecastDate.getHours() === currentHour;
-        });
+        forecasts[entity.id] = liveData.forecast
+          .filter(f => typeof f.waitTime === 'number')
+          .map(f => ({ time: f.time, waitTime: f.waitTime }));
         
-        const nextHourForecast = liveData.forecast.find(f => {
-          const forecastDate = new Date(f.time);
-          return forecastDate.getHours() === currentHour + 1;
-        });
+        // Match forecast entries by park-local date and hour, so the hours
+        // after 11 PM roll over to the next day
+        const now = Date.now();
+        const forecastForHour = (hoursAhead) => {
+          const target = getLocalParts(now + hoursAhead * 3600000, timeZone);
+          return liveData.forecast.find(f => {
+            const local = getLocalParts(f.time, timeZone);
+            return local.date === target.date && local.hour === target.hour;
+          });
+        };
         
-        const nextNextHourForecast = liveData.forecast.find(f => {
-          const forecastDate = new Date(f.time);
-          return forecastDate.getHours() === currentHour + 2;
-        });
+        const currentForecast = forecastForHour(0);
+        const nextHourForecast = forecastForHour(1);
+        const nextNextHourForecast = forecastForHour(2);
         
         if (currentForecast && currentForecast.waitTime !== null && currentForecast.waitTime !== undefined) {
           ride.avgWait = currentForecast.waitTime;
+          ride.avgWaitSource = 'forecast';
         }
         
         if (nextHourForecast) {
-          const forecastDate1 = new Date(nextHourForecast.time);
-          ride.forecastHour1 = forecastDate1.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            timeZone: 'America/Los_Angeles'
-          });
+          ride.forecastHour1 = formatTime(nextHourForecast.time, { timeZone, hourOnly: true });
           ride.forecastWait1 = nextHourForecast.waitTime;
         }
         
         if (nextNextHourForecast) {
-          const forecastDate2 = new Date(nextNextHourForecast.time);
-          ride.forecastHour2 = forecastDate2.toLocaleTimeString('en-US', {
-            hour: 'numeric',
-            timeZone: 'America/Los_Angeles'
-          });
+          ride.forecastHour2 = formatTime(nextNextHourForecast.time, { timeZone, hourOnly: true });
           ride.forecastWait2 = nextNextHourForecast.waitTime;
         }
       }
 
+      // Our own recorded history beats the upstream forecast for "typical" waits
+      const typicalWait = rideStats.getTypicalWait(entity.id, today, currentParkHour);
+      if (typicalWait !== null) {
+        ride.avgWait = typicalWait;
+        ride.avgWaitSource = 'history';
+      }
+
       if (!lands[landName]) {
         lands[landName] = [];
       }
@@ -321,7 +454,30 @@ function organizeParkData(parkData, landMap) {
     }
   });
 
-  return { lands, shows, restaurants };
+  return { lands, shows, restaurants, forecasts, locations };
+}
+
+/**
+ * Helper: All rides in a park, each tagged with its land
+ */
+function flattenParkRides(lands) {
+  const rides = [];
+  Object.entries(lands).forEach(([landName, landRides]) => {
+    landRides.forEach(ride => {
+      rides.push({
+        ...ride,
+        land: landName
+      });
+    });
+  });
+  return rides;
+}
+
+/**
+ * Helper: Tag a park data response with its cache version
+ */
+function setVersionETag(res, parkId, variant = '') {
+  res.set('ETag', rideChanges.etag(parkId, parkDataCache[parkId].version, variant));
 }
 
 /**
@@ -330,19 +486,37 @@ function organizeParkData(parkData, landMap) {
 async function updateParkDataCache() {
   console.log('Updating park data cache...');
   
-  for (const [parkKey, parkId] of Object.entries(PARK_IDS)) {
+  for (const park of parkRegistry.getParks()) {
+    const parkKey = park.id;
     try {
-      const parkData = await fetchParkData(parkId);
-      const landMap = parkKey === 'disneyland' ? DISNEYLAND_LAND_MAP : DCA_LAND_MAP;
-      const organized = organizeParkData(parkData, landMap);
+      const parkData = await fetchParkData(park.themeParksId);
+      const organized = organizeParkData(parkData, parkKey);
+      
+      Object.values(parkDataCache[parkKey].lands).forEach(landRides => {
+        landRides.forEach(ride => {
+          previousRides[ride.id] = ride;
+        });
+      });
       
       parkDataCache[parkKey] = {
-        name: parkKey === 'disneyland' ? 'Disneyland Park' : 'Disney California Adventure',
+        name: park.name,
         lands: organized.lands,
         shows: organized.shows,
         restaurants: organized.restaurants,
+        forecasts: organized.forecasts,
+        locations: organized.locations,
         lastUpdated: new Date().toISOString()
       };
+      parkDataCache[parkKey].version = Date.parse(parkDataCache[parkKey].lastUpdated);
+      rideChanges.track(parkKey, organized.lands, parkDataCache[parkKey].version);
+      
+      await waitHistory.record(parkKey, organized.lands, parkDataCache[parkKey].lastUpdated);
+      const transitions = await downtimeTracker.observe(parkKey, organized.lands, parkDataCache[parkKey].lastUpdated);
+      pendingTransitions.push(...transitions);
+      const priceChanges = await priceHistory.record(parkKey, organized.lands, parkDataCache[parkKey].lastUpdated);
+      pendingPriceChanges.push(...priceChanges);
+      await forecastModel.snapshot(parkKey, organized.lands, organized.forecasts);
+      waitTimeStream.publish(parkKey, organized.lands, parkDataCache[parkKey].lastUpdated);
       
       console.log(`✓ Updated ${parkKey} - ${Object.keys(organized.lands).length} lands, ${Object.keys(organized.shows).flat().length} shows`);
     } catch (error) {
@@ -358,72 +532,51 @@ async function checkAndNotifyUsers() {
   console.log('Checking for ready rides and sending notifications...');
   
   const messages = [];
+  const allPreferences = await userStore.list(COLLECTIONS.preferences);
+  const devices = await userStore.list(COLLECTIONS.devices);
+  const allNotifiedRides = await userStore.list(COLLECTIONS.notifiedRides);
   
-  for (const [userId, preferences] of Object.entries(userPreferences)) {
-    const pushToken = userDeviceTokens[userId];
-    
-    if (!pushToken || !Expo.isExpoPushToken(pushToken)) {
+  for (const [userId, preferences] of Object.entries(allPreferences)) {
+    if (!hasPushDevice(devices[userId])) {
       continue;
     }
     
-    const readyRides = [];
-    const currentReadyRideIds = new Set();
-    
-    Object.entries(parkDataCache).forEach(([parkKey, parkData]) => {
-      Object.entries(parkData.lands).forEach(([landName, landRides]) => {
-        landRides.forEach(ride => {
-          const pref = preferences[ride.id];
-          if (pref && pref.enabled &&
-              ride.currentWait <= pref.maxWait &&
-              (ride.status === 'OPERATING' || ride.status === 'DOWN')) {
-            readyRides.push({
-              ...ride,
-              land: landName,
-              park: parkData.name
-            });
-            currentReadyRideIds.add(ride.id);
-          }
-        });
-      });
-    });
+    const readyRides = findReadyRides(preferences);
+    const currentReadyRideIds = new Set(readyRides.map(ride => ride.id));
     
-    if (!notifiedRides[userId]) {
-      notifiedRides[userId] = new Set();
-    }
+    const previouslyNotified = new Set(allNotifiedRides[userId] || []);
     
     const newReadyRides = readyRides.filter(ride =>
-      !notifiedRides[userId].has(ride.id)
+      !previouslyNotified.has(ride.id)
     );
     
     if (newReadyRides.length > 0) {
       const firstRide = newReadyRides[0];
       const rideCount = newReadyRides.length;
       
-      let body;
-      if (rideCount === 1) {
-        body = `${firstRide.name} is now ${firstRide.currentWait} min wait!`;
-      } else {
-        body = `${firstRide.name} and ${rideCount - 1} other ride${rideCount > 2 ? 's are' : ' is'} ready!`;
-      }
-      
       messages.push({
-        to: pushToken,
+        userId,
         sound: 'default',
-        title: '🎢 Ride Ready!',
-        body: body,
+        text: {
+          key: 'rideReady',
+          params: { rideName: firstRide.name, reason: firstRide.matches[0], otherCount: rideCount - 1 }
+        },
         data: {
           type: 'ride',
           rideCount: rideCount,
-          rides: newReadyRides.map(r => r.name).join(', ')
-        },
-        priority: 'high',
-        channelId: 'ride-alerts'
+          rides: newReadyRides.map(r => r.name).join(', '),
+          reasons: newReadyRides.map(r => ({ rideId: r.id, reasons: r.reasons }))
+        }
       });
       
-      console.log(`📱 Queuing notification for user ${userId}: ${body}`);
+      console.log(`📱 Queuing notification for user ${userId}: ${firstRide.name}: ${firstRide.reasons[0]}`);
     }
     
-    notifiedRides[userId] = currentReadyRideIds;
+    const readyChanged = currentReadyRideIds.size !== previouslyNotified.size ||
+      [...currentReadyRideIds].some(id => !previouslyNotified.has(id));
+    if (readyChanged) {
+      await userStore.set(COLLECTIONS.notifiedRides, userId, [...currentReadyRideIds]);
+    }
   }
   
   // Send notifications
@@ -431,64 +584,350 @@ async function checkAndNotifyUsers() {
 }
 
 /**
- * Check for show/dining/Lightning Lane reminders
+ * Helper: Rides matching any of a user's alert rules, each with the reasons it matched
+ */
+function findReadyRides(preferences) {
+  const readyRides = [];
+  const now = new Date();
+  
+  Object.entries(parkDataCache).forEach(([parkKey, parkData]) => {
+    const timeZone = parkRegistry.getTimezone(parkKey);
+    const today = getTodayDateString(timeZone);
+    const currentParkHour = getParkHour(timeZone);
+    
+    Object.entries(parkData.lands).forEach(([landName, landRides]) => {
+      landRides.forEach(ride => {
+        const pref = preferences[ride.id];
+        if (!pref || !pref.enabled) return;
+        
+        const remainingForecast = (parkData.forecasts?.[ride.id] || []).filter(f => {
+          const forecastTime = new Date(f.time);
+          return forecastTime > now && getLocalParts(forecastTime, timeZone).date === today;
+        });
+        
+        const matches = alertRules.evaluate(ride, pref, {
+          typicalWait: rideStats.getTypicalWait(ride.id, today, currentParkHour),
+          previousWait: previousRides[ride.id]?.status === 'OPERATING' ? previousRides[ride.id].currentWait : null,
+          remainingForecast
+        });
+        
+        if (matches.length > 0) {
+          readyRides.push({
+            ...ride,
+            land: landName,
+            park: parkData.name,
+            reasons: matches.map(match => notificationText.describeReason(match)),
+            matches
+          });
+        }
+      });
+    });
+  });
+  
+  return readyRides;
+}
+
+/**
+ * Helper: Whether a status transition means a ride came back up. CLOSED only
+ * counts when the ride had been operating earlier the same day, so the
+ * morning opening doesn't look like a reopening.
+ */
+function isReopening(transition) {
+  if (transition.to !== 'OPERATING') return false;
+  if (transition.from === 'DOWN') return true;
+  if (transition.from !== 'CLOSED' || !transition.lastOperatingAt) return false;
+  const timeZone = parkRegistry.getTimezone(transition.parkId);
+  return getLocalParts(transition.lastOperatingAt, timeZone).date === getLocalParts(transition.at, timeZone).date;
+}
+
+/**
+ * Notify users subscribed to rides that just reopened
+ */
+async function checkRideReopenings() {
+  const reopened = pendingTransitions.filter(isReopening);
+  pendingTransitions = [];
+  
+  if (reopened.length === 0) return;
+  console.log(`Checking ride reopen subscriptions for ${reopened.length} rides...`);
+  
+  const messages = [];
+  const now = new Date();
+  const devices = await userStore.list(COLLECTIONS.devices);
+  const allSubscriptions = await userStore.list(COLLECTIONS.rideSubscriptions);
+  
+  for (const [userId, subscriptions] of Object.entries(allSubscriptions)) {
+    if (!hasPushDevice(devices[userId])) continue;
+    
+    const notifiedRideIds = [];
+    
+    for (const transition of reopened) {
+      const subscription = subscriptions[transition.rideId];
+      if (!subscription || notifiedRideIds.includes(transition.rideId)) continue;
+      
+      // A flapping ride only gets one push per cooldown window
+      if (subscription.lastNotifiedAt &&
+          now - new Date(subscription.lastNotifiedAt) < REOPEN_NOTIFY_COOLDOWN_MINUTES * 60000) {
+        continue;
+      }
+      
+      const ride = findRide(transition.parkId, transition.rideId);
+      
+      messages.push({
+        userId,
+        sound: 'default',
+        text: {
+          key: 'rideReopened',
+          params: { rideName: transition.rideName, currentWait: ride ? ride.currentWait : null }
+        },
+        data: {
+          type: 'ride-reopened',
+          rideId: transition.rideId,
+          parkId: transition.parkId
+        }
+      });
+      notifiedRideIds.push(transition.rideId);
+      console.log(`📱 Reopen alert for user ${userId}: ${transition.rideName}`);
+    }
+    
+    if (notifiedRideIds.length > 0) {
+      await userStore.update(COLLECTIONS.rideSubscriptions, userId, (stored) => {
+        if (!stored) return stored;
+        notifiedRideIds.forEach(rideId => {
+          if (!stored[rideId]) return;
+          if (stored[rideId].once) {
+            delete stored[rideId];
+          } else {
+            stored[rideId].lastNotifiedAt = now.toISOString();
+          }
+        });
+        return stored;
+      });
+    }
+  }
+  
+  await sendPushNotifications(messages);
+}
+
+/**
+ * Notify users watching Lightning Lane return times. Fires when a queue goes
+ * from TEMP_FULL/FINISHED back to AVAILABLE, or when the next return window
+ * first starts before the user's chosen time. Watches with `priceAlerts` also
+ * hear about Individual Lightning Lane price drops and sell-outs.
+ */
+async function checkLightningLaneWatches() {
+  console.log('Checking Lightning Lane watches...');
+  
+  const priceChanges = pendingPriceChanges;
+  pendingPriceChanges = [];
+  const messages = [];
+  const devices = await userStore.list(COLLECTIONS.devices);
+  const allWatches = await userStore.list(COLLECTIONS.lightningLaneWatches);
+  
+  for (const [userId, watches] of Object.entries(allWatches)) {
+    const canPush = hasPushDevice(devices[userId]);
+    const changes = {};
+    
+    for (const [rideId, watch] of Object.entries(watches)) {
+      const ride = findRide(watch.parkId, rideId);
+      if (!ride) continue;
+      
+      const queues = [
+        { key: 'RETURN_TIME', state: ride.returnState, start: ride.returnStart },
+        { key: 'PAID_RETURN_TIME', state: ride.paidReturnState, start: ride.paidReturnStart }
+      ].filter(queue => queue.state && (!watch.queue || watch.queue === queue.key));
+      
+      for (const queue of queues) {
+        const lastState = watch.lastStates?.[queue.key] || null;
+        const reopened = watch.notifyOnAvailable !== false &&
+          queue.state === 'AVAILABLE' &&
+          (lastState === 'TEMP_FULL' || lastState === 'FINISHED');
+        const early = Boolean(watch.returnBefore && queue.state === 'AVAILABLE' && queue.start &&
+          new Date(queue.start) < new Date(watch.returnBefore));
+        const wasEarly = Boolean(watch.earlyMatched?.[queue.key]);
+        
+        if (lastState !== queue.state || early !== wasEarly) {
+          changes[rideId] = changes[rideId] || { lastStates: {}, earlyMatched: {} };
+          changes[rideId].lastStates[queue.key] = queue.state;
+          changes[rideId].earlyMatched[queue.key] = early;
+        }
+        
+        if (!canPush) continue;
+        
+        const params = {
+          rideName: ride.name,
+          queue: queue.key,
+          returnStart: queue.start,
+          returnBefore: watch.returnBefore,
+          timeZone: parkRegistry.getTimezone(watch.parkId)
+        };
+        let text = null;
+        if (reopened) {
+          text = { key: 'lightningLaneAvailable', params };
+        } else if (early && !wasEarly) {
+          text = { key: 'lightningLaneEarlier', params };
+        }
+        
+        if (text) {
+          messages.push({
+            userId,
+            sound: 'default',
+            text,
+            data: {
+              type: 'lightning-lane-watch',
+              rideId,
+              parkId: watch.parkId,
+              queue: queue.key,
+              returnStart: queue.start
+            }
+          });
+          console.log(`📱 Lightning Lane watch alert for user ${userId}: ${ride.name}`);
+        }
+      }
+      
+      // Individual Lightning Lane price drops and sell-outs
+      if (!watch.priceAlerts || watch.queue === 'RETURN_TIME') continue;
+      if (!canPush) continue;
+      
+      priceChanges.filter(change => change.rideId === rideId && change.previous).forEach(({ previous, current }) => {
+        let text = null;
+        if (current.soldOut && !previous.soldOut) {
+          text = { key: 'lightningLaneSoldOut', params: { rideName: ride.name } };
+        } else if (!current.soldOut && previous.amount !== null && current.amount !== null &&
+            current.amount < previous.amount) {
+          text = { key: 'lightningLanePriceDrop', params: { rideName: ride.name, current, previous } };
+        }
+        
+        if (text) {
+          messages.push({
+            userId,
+            sound: 'default',
+            text,
+            data: {
+              type: 'lightning-lane-price',
+              rideId,
+              parkId: watch.parkId,
+              amount: current.amount,
+              currency: current.currency,
+              soldOut: current.soldOut
+            }
+          });
+          console.log(`📱 Lightning Lane price alert for user ${userId}: ${ride.name} (${text.key})`);
+        }
+      });
+    }
+    
+    if (Object.keys(changes).length > 0) {
+      await userStore.update(COLLECTIONS.lightningLaneWatches, userId, (stored) => {
+        if (!stored) return stored;
+        Object.entries(changes).forEach(([rideId, change]) => {
+          if (!stored[rideId]) return;
+          stored[rideId].lastStates = { ...stored[rideId].lastStates, ...change.lastStates };
+          stored[rideId].earlyMatched = { ...stored[rideId].earlyMatched, ...change.earlyMatched };
+        });
+        return stored;
+      });
+    }
+  }
+  
+  await sendPushNotifications(messages);
+}
+
+/**
+ * Check for show/dining/Lightning Lane reminders. Parks in different
+ * timezones can be on different dates, so each date that is today somewhere
+ * is checked for the items that are today where they happen.
  */
 async function checkEventReminders() {
   console.log('Checking event reminders...');
   
   const now = new Date();
-  const todayString = getTodayDateString();
   const messages = [];
+  const devices = await userStore.list(COLLECTIONS.devices);
+  const allSettings = await userStore.list(COLLECTIONS.notificationSettings);
+  
+  for (const todayString of getParkTodayDates()) {
+    messages.push(...await checkPersonalReminders(now, todayString, devices, allSettings));
+    messages.push(...await checkPartyReminders(now, todayString, devices, allSettings));
+  }
+  
+  await sendPushNotifications(messages, allSettings);
+}
+
+/**
+ * Queue reminders for the personal schedule items on `todayString`
+ */
+async function checkPersonalReminders(now, todayString, devices, allSettings) {
+  const messages = [];
+  const showSchedules = await userStore.list(COLLECTIONS.showSchedules);
   
-  for (const [userId, schedulesByDate] of Object.entries(userShowSchedules)) {
-    const pushToken = userDeviceTokens[userId];
-    if (!pushToken || !Expo.isExpoPushToken(pushToken)) continue;
+  for (const [userId, schedulesByDate] of Object.entries(showSchedules)) {
+    if (!hasPushDevice(devices[userId])) continue;
     
-    const todayShows = schedulesByDate[todayString] || [];
+    const todayShows = (schedulesByDate[todayString] || []).filter(show => isItemToday(show, todayString));
+    const notifiedShows = [];
+    const { finalWarningMinutes } = notificationSettings.resolveSettings(allSettings[userId]);
     
     for (const show of todayShows) {
       const showTime = new Date(show.selectedTime);
       const reminderTime = new Date(showTime.getTime() - show.travelTime * 60000);
-      const finalWarningTime = new Date(showTime.getTime() - 5 * 60000);
+      const finalWarningTime = new Date(showTime.getTime() - finalWarningMinutes * 60000);
       
       // Main reminder
       if (now >= reminderTime && !show.notified) {
         messages.push({
-          to: pushToken,
+          userId,
           sound: 'default',
-          title: '🎭 Time to Head to Show!',
-          body: `${show.showName} at ${showTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })} - Leave now!`,
-          data: { type: 'show', showId: show.showId },
-          priority: 'high',
-          channelId: 'event-alerts'
+          text: {
+            key: 'showReminder',
+            params: { showName: show.showName, showTime: show.selectedTime, timeZone: getItemTimezone(show) }
+          },
+          data: { type: 'show', showId: show.showId }
         });
         show.notified = true;
+        notifiedShows.push(show);
         console.log(`📱 Show reminder for user ${userId}: ${show.showName}`);
       }
       
       // Final warning
       if (now >= finalWarningTime && !show.finalWarningNotified) {
         messages.push({
-          to: pushToken,
+          userId,
           sound: 'default',
-          title: '🎭 Show Starting Soon!',
-          body: `${show.showName} starts in 5 minutes!`,
-          data: { type: 'show-warning', showId: show.showId },
-          priority: 'high',
-          channelId: 'event-alerts'
+          text: {
+            key: 'showFinalWarning',
+            params: { showName: show.showName, minutes: finalWarningMinutes }
+          },
+          data: { type: 'show-warning', showId: show.showId }
         });
         show.finalWarningNotified = true;
+        notifiedShows.push(show);
         console.log(`📱 Show final warning for user ${userId}: ${show.showName}`);
       }
     }
+    
+    if (notifiedShows.length > 0) {
+      await userStore.update(COLLECTIONS.showSchedules, userId, (schedules) => {
+        (schedules?.[todayString] || []).forEach(stored => {
+          const sent = notifiedShows.find(show =>
+            show.showId === stored.showId && show.selectedTime === stored.selectedTime
+          );
+          if (sent) {
+            stored.notified = stored.notified || sent.notified;
+            stored.finalWarningNotified = stored.finalWarningNotified || sent.finalWarningNotified;
+          }
+        });
+        return schedules;
+      });
+    }
   }
   
   // Check dining reminders
-  for (const [userId, schedulesByDate] of Object.entries(userDiningSchedules)) {
-    const pushToken = userDeviceTokens[userId];
-    if (!pushToken || !Expo.isExpoPushToken(pushToken)) continue;
+  const diningSchedules = await userStore.list(COLLECTIONS.diningSchedules);
+  for (const [userId, schedulesByDate] of Object.entries(diningSchedules)) {
+    if (!hasPushDevice(devices[userId])) continue;
     
-    const todayDining = schedulesByDate[todayString] || [];
+    const todayDining = (schedulesByDate[todayString] || []).filter(dining => isItemToday(dining, todayString));
+    const notifiedDiningIds = [];
     
     for (const dining of todayDining) {
       const diningTime = new Date(dining.time);
@@ -496,125 +935,454 @@ async function checkEventReminders() {
       
       if (now >= reminderTime && !dining.notified) {
         messages.push({
-          to: pushToken,
+          userId,
           sound: 'default',
-          title: '🍽️ Dining Reminder!',
-          body: `${dining.restaurantName} reservation at ${diningTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })} - Time to go!`,
-          data: { type: 'dining', diningId: dining.id },
-          priority: 'high',
-          channelId: 'event-alerts'
+          text: {
+            key: 'diningReminder',
+            params: { restaurantName: dining.restaurantName, time: dining.time, timeZone: getItemTimezone(dining) }
+          },
+          data: { type: 'dining', diningId: dining.id }
         });
         dining.notified = true;
+        notifiedDiningIds.push(dining.id);
         console.log(`📱 Dining reminder for user ${userId}: ${dining.restaurantName}`);
       }
     }
+    
+    if (notifiedDiningIds.length > 0) {
+      await userStore.update(COLLECTIONS.diningSchedules, userId, (schedules) => {
+        (schedules?.[todayString] || []).forEach(stored => {
+          if (notifiedDiningIds.includes(stored.id)) stored.notified = true;
+        });
+        return schedules;
+      });
+    }
   }
   
   // Check Lightning Lane reminders
-  for (const [userId, lanesByDate] of Object.entries(userLightningLanes)) {
-    const pushToken = userDeviceTokens[userId];
-    if (!pushToken || !Expo.isExpoPushToken(pushToken)) continue;
+  const lightningLanes = await userStore.list(COLLECTIONS.lightningLanes);
+  for (const [userId, lanesByDate] of Object.entries(lightningLanes)) {
+    if (!hasPushDevice(devices[userId])) continue;
     
-    const todayLanes = lanesByDate[todayString] || {};
+    const todayLanes = Object.entries(lanesByDate[todayString] || {})
+      .filter(([rideId, lane]) => isItemToday(lane, todayString, rideId));
+    const notifiedLaneIds = [];
     
-    for (const [rideId, lane] of Object.entries(todayLanes)) {
+    for (const [rideId, lane] of todayLanes) {
       const returnTime = new Date(lane.returnTime);
       const reminderTime = new Date(returnTime.getTime() - lane.travelTime * 60000);
       
       if (now >= reminderTime && !lane.notified) {
         messages.push({
-          to: pushToken,
+          userId,
           sound: 'default',
-          title: '⚡ Lightning Lane Time!',
-          body: `Your Lightning Lane for ${lane.rideName} is at ${returnTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })} - Head over now!`,
-          data: { type: 'lightning-lane', rideId: rideId },
-          priority: 'high',
-          channelId: 'event-alerts'
+          text: {
+            key: 'lightningLaneReminder',
+            params: {
+              rideName: lane.rideName,
+              returnTime: lane.returnTime,
+              timeZone: getItemTimezone(lane, rideId)
+            }
+          },
+          data: { type: 'lightning-lane', rideId: rideId }
         });
         lane.notified = true;
+        notifiedLaneIds.push(rideId);
         console.log(`📱 Lightning Lane reminder for user ${userId}: ${lane.rideName}`);
       }
     }
+    
+    if (notifiedLaneIds.length > 0) {
+      await userStore.update(COLLECTIONS.lightningLanes, userId, (lanes) => {
+        notifiedLaneIds.forEach(rideId => {
+          const stored = lanes?.[todayString]?.[rideId];
+          if (stored) stored.notified = true;
+        });
+        return lanes;
+      });
+    }
   }
   
-  await sendPushNotifications(messages);
+  return messages;
 }
 
 /**
- * Send push notifications in chunks
+ * Queue reminders for today's party plans. Every member with a push device
+ * gets each reminder; which members were reminded is stored on the item.
  */
-async function sendPushNotifications(messages) {
-  if (messages.length === 0) return;
-  
-  const chunks = expo.chunkPushNotifications(messages);
+async function checkPartyReminders(now, todayString, devices, allSettings) {
+  const messages = [];
+  const allParties = await userStore.list(COLLECTIONS.parties);
+  const allPlans = await userStore.list(COLLECTIONS.partyPlans);
   
-  for (const chunk of chunks) {
-    try {
-      const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-      console.log(`✓ Sent ${ticketChunk.length} notifications`);
+  for (const [partyId, plans] of Object.entries(allPlans)) {
+    const party = allParties[partyId];
+    const plan = plans[todayString];
+    if (!party || !plan) continue;
+    
+    const memberIds = Object.keys(party.members).filter(userId => hasPushDevice(devices[userId]));
+    const sent = []; // { find, field, userId } to record once the loop is done
+    const remind = (userId, text, data, item, field, find) => {
+      messages.push({
+        userId,
+        sound: 'default',
+        text,
+        data: { ...data, partyId }
+      });
+      item[field].push(userId);
+      sent.push({ find, field, userId });
+    };
+    
+    for (const show of plan.shows.filter(item => isItemToday(item, todayString))) {
+      const showTime = new Date(show.selectedTime);
+      const reminderTime = new Date(showTime.getTime() - show.travelTime * 60000);
+      const find = stored => stored.shows.find(s => s.showId === show.showId && s.selectedTime === show.selectedTime);
       
-      ticketChunk.forEach((ticket, index) => {
-        if (ticket.status === 'error') {
-          console.error(`✗ Error sending notification: ${ticket.message}`);
-          if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
-            const message = chunk[index];
-            Object.entries(userDeviceTokens).forEach(([userId, token]) => {
-              if (token === message.to) {
-                delete userDeviceTokens[userId];
-                console.log(`Removed invalid token for user ${userId}`);
-              }
-            });
-          }
+      for (const userId of memberIds) {
+        const { finalWarningMinutes } = notificationSettings.resolveSettings(allSettings[userId]);
+        const finalWarningTime = new Date(showTime.getTime() - finalWarningMinutes * 60000);
+        
+        if (now >= reminderTime && !show.notifiedUserIds.includes(userId)) {
+          remind(userId,
+            { key: 'showReminder', params: { showName: show.showName, showTime: show.selectedTime, timeZone: getItemTimezone(show) } },
+            { type: 'show', showId: show.showId },
+            show, 'notifiedUserIds', find);
+        }
+        if (now >= finalWarningTime && !show.finalWarningUserIds.includes(userId)) {
+          remind(userId,
+            { key: 'showFinalWarning', params: { showName: show.showName, minutes: finalWarningMinutes } },
+            { type: 'show-warning', showId: show.showId },
+            show, 'finalWarningUserIds', find);
         }
+      }
+    }
+    
+    for (const dining of plan.dining.filter(item => isItemToday(item, todayString))) {
+      const reminderTime = new Date(new Date(dining.time).getTime() - dining.travelTime * 60000);
+      if (now < reminderTime) continue;
+      
+      memberIds.filter(userId => !dining.notifiedUserIds.includes(userId)).forEach(userId => {
+        remind(userId,
+          { key: 'diningReminder', params: { restaurantName: dining.restaurantName, time: dining.time, timeZone: getItemTimezone(dining) } },
+          { type: 'dining', diningId: dining.id },
+          dining, 'notifiedUserIds', stored => stored.dining.find(d => d.id === dining.id));
       });
-    } catch (error) {
-      console.error('✗ Error sending push notifications:', error);
     }
-  }
-}
-
-/**
- * Auto-archive past dates (runs daily at midnight PST)
- */
-function autoArchivePastDates() {
-  console.log('Auto-archiving past dates...');
-  const today = getTodayDateString();
-  
-  for (const [userId, schedulesByDate] of Object.entries(userShowSchedules)) {
-    for (const [date, shows] of Object.entries(schedulesByDate)) {
-      if (date < today) {
-        if (!archivedSchedules[userId]) archivedSchedules[userId] = {};
-        archivedSchedules[userId][date] = {
-          shows: shows,
-          dining: userDiningSchedules[userId]?.[date] || [],
-          lightningLanes: userLightningLanes[userId]?.[date] || {}
-        };
-        
-        delete userShowSchedules[userId][date];
-        if (userDiningSchedules[userId]) delete userDiningSchedules[userId][date];
-        if (userLightningLanes[userId]) delete userLightningLanes[userId][date];
-        
-        console.log(`Archived ${date} for user ${userId}`);
-      }
+    
+    for (const [rideId, lane] of Object.entries(plan.lightningLanes)) {
+      const reminderTime = new Date(new Date(lane.returnTime).getTime() - lane.travelTime * 60000);
+      if (now < reminderTime || !isItemToday(lane, todayString, rideId)) continue;
+      
+      const timeZone = getItemTimezone(lane, rideId);
+      memberIds.filter(userId => !lane.notifiedUserIds.includes(userId)).forEach(userId => {
+        remind(userId,
+          { key: 'lightningLaneReminder', params: { rideName: lane.rideName, returnTime: lane.returnTime, timeZone } },
+          { type: 'lightning-lane', rideId },
+          lane, 'notifiedUserIds', stored => stored.lightningLanes[rideId]);
+      });
+    }
+    
+    if (sent.length > 0) {
+      console.log(`📱 ${sent.length} reminders for party ${party.name}`);
+      await userStore.update(COLLECTIONS.partyPlans, partyId, (stored) => {
+        const storedPlan = stored?.[todayString];
+        if (!storedPlan) return stored;
+        sent.forEach(({ find, field, userId }) => {
+          const item = find(storedPlan);
+          if (item && !item[field].includes(userId)) item[field].push(userId);
+        });
+        return stored;
+      });
     }
   }
+  
+  return messages;
 }
 
 /**
- * Helper: Get today's date string in YYYY-MM-DD format (PST)
+ * Send push notifications, after rendering their text in each user's
+ * locale and letting the user's notification settings (type toggles, quiet
+ * hours, daily cap) filter them, to every device of the user. Everything not
+ * turned off lands in the user's inbox, and pushDelivery tracks each push
+ * through retries and receipts. Settings are read once per pass; callers that
+ * already listed them pass them in.
  */
-function getTodayDateString() {
-  const now = new Date();
-  const pst = new Date(now.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-  return pst.toISOString().split('T')[0];
+async function sendPushNotifications(queued, allSettings = null) {
+  const allHeld = await userStore.list(COLLECTIONS.heldNotifications);
+  if (queued.length === 0 && Object.keys(allHeld).length === 0) return;
+  
+  const settings = allSettings || await userStore.list(COLLECTIONS.notificationSettings);
+  const localized = [
+    ...await notificationSettings.releaseHeld(allHeld, settings),
+    ...notificationText.localize(queued, settings)
+  ];
+  const { allowed, held } = await notificationSettings.applySettings(localized, settings);
+  await notificationInbox.record([
+    ...allowed.map(message => ({ message, status: 'sent' })),
+    ...held.map(({ message, reason }) => ({ message, status: 'suppressed', reason }))
+  ]);
+  await pushDelivery.send(await fanOut(allowed));
 }
 
 /**
- * Helper: Generate unique ID
+ * Auto-archive past dates (runs daily at midnight PST)
  */
-function generateId() {
-  return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-}
+async function autoArchivePastDates() {
+  console.log('Auto-archiving past dates...');
+  const allShows = await userStore.list(COLLECTIONS.showSchedules);
+  const allDining = await userStore.list(COLLECTIONS.diningSchedules);
+  const allLightningLanes = await userStore.list(COLLECTIONS.lightningLanes);
+  
+  // A user may have only dining or Lightning Lanes planned, with no shows
+  const userIds = new Set([...Object.keys(allShows), ...Object.keys(allDining), ...Object.keys(allLightningLanes)]);
+  
+  for (const userId of userIds) {
+    const shows = allShows[userId] || {};
+    const dining = allDining[userId] || {};
+    const lightningLanes = allLightningLanes[userId] || {};
+    
+    const dates = new Set([...Object.keys(shows), ...Object.keys(dining), ...Object.keys(lightningLanes)]);
+    const pastDates = [...dates].filter(date =>
+      isDayOver(date, [...(shows[date] || []), ...(dining[date] || [])], lightningLanes[date])
+    );
+    if (pastDates.length === 0) continue;
+    
+    // Write the archive first so a crash part-way never loses a day
+    await userStore.update(COLLECTIONS.archives, userId, (archives = {}) => {
+      pastDates.forEach(date => {
+        archives[date] = {
+          shows: shows[date] || [],
+          dining: dining[date] || [],
+          lightningLanes: lightningLanes[date] || {}
+        };
+      });
+      return archives;
+    });
+    
+    const dropPastDates = (schedules) => {
+      if (!schedules) return schedules;
+      pastDates.forEach(date => delete schedules[date]);
+      return schedules;
+    };
+    await userStore.update(COLLECTIONS.showSchedules, userId, dropPastDates);
+    await userStore.update(COLLECTIONS.diningSchedules, userId, dropPastDates);
+    await userStore.update(COLLECTIONS.lightningLanes, userId, dropPastDates);
+    
+    pastDates.forEach(date => console.log(`Archived ${date} for user ${userId}`));
+  }
+  
+  await parties.dropPastPlans((date, plan) => isDayOver(date, [...plan.shows, ...plan.dining], plan.lightningLanes));
+}
+
+/**
+ * Roll up wait history, then rebuild everything derived from it
+ */
+async function runDailyHistoryJobs() {
+  const today = getTodayDateString();
+  await waitHistory.downsample();
+  await rideStats.refreshTypicalWaits(today);
+  await forecastModel.train(today);
+  await forecastModel.updateAccuracy(today);
+}
+
+/**
+ * Helper: Get today's date string in YYYY-MM-DD format (park time, PST by default)
+ */
+function getTodayDateString(timeZone = PARK_TIMEZONE) {
+  return getLocalParts(new Date(), timeZone).date;
+}
+
+/**
+ * Helper: Today's date in each park's timezone, earliest first. Parks east
+ * of the default timezone reach a new date first.
+ */
+function getParkTodayDates() {
+  const timeZones = [PARK_TIMEZONE, ...parkRegistry.getParks().map(park => park.timezone)];
+  return [...new Set(timeZones.map(getTodayDateString))].sort();
+}
+
+/**
+ * Helper: The park a schedule item is at. Items saved without a park fall
+ * back to their ride's park; null when neither is known.
+ */
+function getItemParkId(item, rideId = null) {
+  return item.parkId || (rideId && findRideParkId(rideId)) || null;
+}
+
+/**
+ * Helper: Timezone of the park a schedule item is at (the default timezone
+ * when the park isn't known)
+ */
+function getItemTimezone(item, rideId = null) {
+  return parkRegistry.getTimezone(getItemParkId(item, rideId));
+}
+
+/**
+ * Helper: Whether a schedule item filed under `date` is today where it happens
+ */
+function isItemToday(item, date, rideId = null) {
+  return getTodayDateString(getItemTimezone(item, rideId)) === date;
+}
+
+/**
+ * Helper: Whether a day's schedule items are all in the past where they
+ * happen. `lanes` is the day's Lightning Lanes by ride id.
+ */
+function isDayOver(date, items, lanes = {}) {
+  const timeZones = [
+    ...items.map(item => getItemTimezone(item)),
+    ...Object.entries(lanes).map(([rideId, lane]) => getItemTimezone(lane, rideId))
+  ];
+  if (timeZones.length === 0) timeZones.push(PARK_TIMEZONE);
+  return timeZones.every(timeZone => date < getTodayDateString(timeZone));
+}
+
+/**
+ * Helper: Get the current hour (0-23) in park time (PST by default)
+ */
+function getParkHour(timeZone = PARK_TIMEZONE) {
+  return getLocalParts(new Date(), timeZone).hour;
+}
+
+/**
+ * Helper: A park's section of scraped dining/shows data (empty for parks the
+ * scrapers don't cover)
+ */
+function getScrapedParkData(data, parkId) {
+  const park = parkRegistry.getPark(parkId);
+  return park?.scraper ? data[park.scraper.cacheKey] || {} : {};
+}
+
+/**
+ * Helper: Find a ride in the cached park data
+ */
+function findRide(parkId, rideId) {
+  for (const [landName, landRides] of Object.entries(parkDataCache[parkId]?.lands || {})) {
+    const ride = landRides.find(r => r.id === rideId);
+    if (ride) return { ...ride, land: landName };
+  }
+  return null;
+}
+
+/**
+ * Helper: Which cached park a ride belongs to (null if none has it)
+ */
+function findRideParkId(rideId) {
+  return Object.keys(parkDataCache).find(parkId => findRide(parkId, rideId)) || null;
+}
+
+/**
+ * Helper: Predicted wait for each park-local hour (0-23) of a date, for the
+ * day planner. Our model wins over the upstream forecast where both exist,
+ * and the current hour uses the live wait.
+ */
+function predictHourlyWaits(parkId, ride, date, today) {
+  const timeZone = parkRegistry.getTimezone(parkId);
+  const fallback = ride.avgWait ?? (ride.status === 'OPERATING' ? ride.currentWait : null) ?? PLAN_DEFAULT_WAIT_MINUTES;
+  const waits = Array(24).fill(fallback);
+  
+  (parkDataCache[parkId].forecasts?.[ride.id] || []).forEach(forecast => {
+    const local = getLocalParts(forecast.time, timeZone);
+    if (local.date === date) waits[local.hour] = forecast.waitTime;
+  });
+  
+  const predictions = date === today
+    ? forecastModel.predictRide(parkId, ride)
+    : forecastModel.predictDate(ride.id, date);
+  predictions.forEach(prediction => {
+    waits[prediction.hour] = prediction.predictedWait;
+  });
+  
+  if (date === today && ride.status === 'OPERATING') {
+    waits[getParkHour(timeZone)] = ride.currentWait;
+  }
+  return waits;
+}
+
+/**
+ * Helper: A user's fixed commitments at a park on a date, from their own
+ * schedules and every party plan they are in, as day planner input. Items
+ * saved without a park are kept, since they may be at this one.
+ */
+async function getDayCommitments(userId, date, parkId) {
+  const locations = parkDataCache[parkId]?.locations || {};
+  const atPark = (item, rideId = null) => [null, parkId].includes(getItemParkId(item, rideId));
+  const sources = [{
+    source: 'personal',
+    shows: (await userStore.get(COLLECTIONS.showSchedules, userId) || {})[date] || [],
+    dining: (await userStore.get(COLLECTIONS.diningSchedules, userId) || {})[date] || [],
+    lightningLanes: (await userStore.get(COLLECTIONS.lightningLanes, userId) || {})[date] || {}
+  }];
+  for (const party of await parties.listForUser(userId)) {
+    sources.push({ source: 'party', partyId: party.id, ...await parties.getPlan(party.id, date) });
+  }
+  
+  const commitments = sources.flatMap(({ source, partyId, shows, dining, lightningLanes }) => {
+    const origin = partyId ? { source, partyId } : { source };
+    return [
+      ...shows.filter(show => atPark(show)).map(show => ({
+        type: 'show',
+        name: show.showName,
+        showId: show.showId,
+        at: Date.parse(show.selectedTime),
+        travelTime: show.travelTime,
+        location: locations[show.showId] || null,
+        ...origin
+      })),
+      ...dining.filter(reservation => atPark(reservation)).map(reservation => ({
+        type: 'dining',
+        name: reservation.restaurantName,
+        diningId: reservation.id,
+        at: Date.parse(reservation.time),
+        travelTime: reservation.travelTime,
+        location: null,
+        ...origin
+      })),
+      ...Object.entries(lightningLanes).filter(([rideId, lane]) => atPark(lane, rideId)).map(([rideId, lane]) => ({
+        type: 'lightning-lane',
+        name: lane.rideName,
+        rideId,
+        at: Date.parse(lane.returnTime),
+        travelTime: lane.travelTime,
+        location: locations[rideId] || null,
+        ...origin
+      }))
+    ];
+  });
+  
+  // The same show or ride at the same time in two plans is one commitment
+  const seen = new Set();
+  return commitments.filter(commitment => {
+    const key = `${commitment.type}|${commitment.showId || commitment.rideId || commitment.name}|${commitment.at}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Middleware: load :partyId into req.party, if :userId is a member
+ */
+async function requirePartyMember(req, res, next) {
+  try {
+    req.party = await parties.getForMember(req.params.partyId, req.params.userId);
+  } catch (error) {
+    console.error('Error loading party:', error);
+    return res.status(500).json({ error: 'Failed to load party' });
+  }
+  
+  if (!req.party) {
+    return res.status(404).json({ error: 'Party not found' });
+  }
+  next();
+}
+
+/**
+ * Helper: Generate unique ID
+ */
+function generateId() {
+  return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
 
 /**
  * API Routes
@@ -625,51 +1393,83 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    cacheStatus: {
-      disneyland: parkDataCache.disneyland.lastUpdated,
-      californiaadventure: parkDataCache.californiaadventure.lastUpdated
-    }
+    cacheStatus: Object.fromEntries(
+      Object.entries(parkDataCache).map(([parkId, parkData]) => [parkId, parkData.lastUpdated])
+    )
   });
 });
 
 // Get all parks
 app.get('/api/parks', (req, res) => {
   res.json({
-    parks: [
-      { id: 'disneyland', name: 'Disneyland Park' },
-      { id: 'californiaadventure', name: 'Disney California Adventure' }
-    ]
+    parks: parkRegistry.getParks().map(park => ({
+      id: park.id,
+      name: park.name,
+      resort: park.resort,
+      resortName: park.resortName,
+      timezone: park.timezone,
+      lands: park.lands.map(land => land.name)
+    }))
   });
 });
 
 // Get wait times for a specific park
-app.get('/api/parks/:parkId/wait-times', (req, res) => {
+app.get('/api/parks/:parkId/wait-times', validate(schemas.waitTimes), (req, res) => {
   const { parkId } = req.params;
+  const { since } = req.query;
   
   if (!parkDataCache[parkId]) {
     return res.status(404).json({ error: 'Park not found' });
   }
 
   const parkData = parkDataCache[parkId];
+  const rides = flattenParkRides(parkData.lands);
   
-  const rides = [];
-  Object.entries(parkData.lands).forEach(([landName, landRides]) => {
-    landRides.forEach(ride => {
-      rides.push({
-        ...ride,
-        land: landName
-      });
+  // Delta mode: only rides whose wait, status or return time changed after `since`
+  if (since !== undefined) {
+    const changes = rideChanges.changedSince(parkId, rides, since);
+    
+    setVersionETag(res, parkId, `-since-${since}`);
+    return res.json({
+      park: parkData.name,
+      version: parkData.version,
+      since,
+      full: changes.full,
+      rides: changes.rides,
+      lastUpdated: parkData.lastUpdated
     });
-  });
+  }
 
+  setVersionETag(res, parkId);
   res.json({
     park: parkData.name,
+    version: parkData.version,
     lands: parkData.lands,
     rides: rides,
     lastUpdated: parkData.lastUpdated
   });
 });
 
+// Stream changed rides after every refresh (Server-Sent Events)
+// ?parks=disneyland,californiaadventure&rides=<id>,<id> narrow the stream
+app.get('/api/wait-times/stream', validate(schemas.waitTimeStream), (req, res) => {
+  const parks = req.query.parks ? req.query.parks.split(',').filter(Boolean) : null;
+  const rides = req.query.rides ? req.query.rides.split(',').filter(Boolean) : null;
+  
+  const unknownPark = parks?.find(parkId => !parkDataCache[parkId]);
+  if (unknownPark) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  // Browsers resend the last id as a header; the query param is for clients that can't
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  waitTimeStream.subscribe(req, res, {
+    parks,
+    rides,
+    lastEventId: Number.isNaN(lastEventId) ? req.query.lastEventId : lastEventId
+  });
+});
+
 // Get shows for a specific park
 app.get('/api/parks/:parkId/shows', (req, res) => {
   const { parkId } = req.params;
@@ -678,6 +1478,7 @@ app.get('/api/parks/:parkId/shows', (req, res) => {
     return res.status(404).json({ error: 'Park not found' });
   }
 
+  setVersionETag(res, parkId);
   res.json({
     park: parkDataCache[parkId].name,
     shows: parkDataCache[parkId].shows,
@@ -693,6 +1494,7 @@ app.get('/api/parks/:parkId/restaurants', (req, res) => {
     return res.status(404).json({ error: 'Park not found' });
   }
 
+  setVersionETag(res, parkId);
   res.json({
     park: parkDataCache[parkId].name,
     restaurants: parkDataCache[parkId].restaurants,
@@ -721,20 +1523,21 @@ app.get('/api/parks/:parkId/restaurants', (req, res) => {
 //  }
 //});
 
-// Update the endpoint
+// Older clients still call this; it serves the same scraped data as /dining
 app.get('/api/parks/:parkId/enhanced-dining', (req, res) => {
   try {
     const { parkId } = req.params;
-    const data = hybridDiningService.getCachedData();
+    if (!parkRegistry.getPark(parkId)) {
+      return res.status(404).json({ error: 'Park not found' });
+    }
     
-    const restaurants = parkId === 'disneyland'
-      ? data.disneyland
-      : data.californiaAdventure;
+    const data = diningService.getCachedData();
+    const restaurants = getScrapedParkData(data, parkId);
     
     res.json({
       restaurants,
-      lastUpdate: hybridDiningService.lastUpdate,
-      source: 'Hybrid (ThemeParks.wiki + Enhanced Scraping)'
+      lastUpdate: diningService.lastScrape,
+      source: 'Disney Official API (via Puppeteer)'
     });
   } catch (error) {
     console.error('Error getting enhanced dining:', error);
@@ -742,6 +1545,214 @@ app.get('/api/parks/:parkId/enhanced-dining', (req, res) => {
   }
 });
 
+// Get operating hours, early entry and special events for one day or the next 30 days
+app.get('/api/parks/:parkId/hours', validate(schemas.parkHours), (req, res) => {
+  const { parkId } = req.params;
+  const { date } = req.query;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  const schedule = parkScheduleCache[parkId];
+  const today = getTodayDateString(parkRegistry.getTimezone(parkId));
+  const dates = date ? [date] : Array.from({ length: PARK_HOURS_DAYS }, (_, i) => addDays(today, i));
+  
+  res.json({
+    park: parkDataCache[parkId].name,
+    timezone: parkRegistry.getTimezone(parkId),
+    days: dates.map(d => schedule.days[d] || {
+      date: d,
+      isOpen: null,
+      openingTime: null,
+      closingTime: null,
+      earlyEntry: [],
+      events: []
+    }),
+    lastUpdated: schedule.lastUpdated
+  });
+});
+
+// Get historical wait statistics for a ride
+app.get('/api/parks/:parkId/rides/:rideId/stats', validate(schemas.rideStats), async (req, res) => {
+  const { parkId, rideId } = req.params;
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 7), 365);
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  try {
+    const stats = await rideStats.getRideStats(parkId, rideId, {
+      today: getTodayDateString(parkRegistry.getTimezone(parkId)),
+      days
+    });
+    
+    res.json({
+      ...stats,
+      rideName: findRide(parkId, rideId)?.name || null
+    });
+  } catch (error) {
+    console.error('Error getting ride stats:', error);
+    res.status(500).json({ error: 'Failed to get ride stats' });
+  }
+});
+
+// Get current outages and today's downtime log for a park
+app.get('/api/parks/:parkId/downtime', (req, res) => {
+  const { parkId } = req.params;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  res.json({
+    park: parkDataCache[parkId].name,
+    currentOutages: downtimeTracker.getCurrentOutages(parkId),
+    today: downtimeTracker.getOutagesForDate(parkId, getTodayDateString(parkRegistry.getTimezone(parkId))),
+    lastUpdated: parkDataCache[parkId].lastUpdated
+  });
+});
+
+// Get 30-day reliability figures for every ride in a park
+app.get('/api/parks/:parkId/reliability', async (req, res) => {
+  const { parkId } = req.params;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  try {
+    const rides = await downtimeTracker.getReliability(parkId, {
+      today: getTodayDateString(parkRegistry.getTimezone(parkId))
+    });
+    
+    res.json({
+      park: parkDataCache[parkId].name,
+      windowDays: 30,
+      rides: rides.map(ride => ({
+        ...ride,
+        rideName: ride.rideName || findRide(parkId, ride.rideId)?.name || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting reliability:', error);
+    res.status(500).json({ error: 'Failed to get reliability data' });
+  }
+});
+
+// Get 30-day reliability figures for one ride
+app.get('/api/parks/:parkId/rides/:rideId/reliability', async (req, res) => {
+  const { parkId, rideId } = req.params;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  try {
+    const [reliability] = await downtimeTracker.getReliability(parkId, {
+      rideId,
+      today: getTodayDateString(parkRegistry.getTimezone(parkId))
+    });
+    
+    res.json({
+      ...reliability,
+      rideName: reliability.rideName || findRide(parkId, rideId)?.name || null,
+      windowDays: 30
+    });
+  } catch (error) {
+    console.error('Error getting ride reliability:', error);
+    res.status(500).json({ error: 'Failed to get reliability data' });
+  }
+});
+
+// Get predicted waits for the rest of today for every ride in a park
+app.get('/api/parks/:parkId/forecast', (req, res) => {
+  const { parkId } = req.params;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  res.json({
+    park: parkDataCache[parkId].name,
+    rides: forecastModel.predictPark(parkId, parkDataCache[parkId].lands),
+    trainedAt: forecastModel.trainedAt,
+    lastUpdated: parkDataCache[parkId].lastUpdated
+  });
+});
+
+// Get predicted waits for the rest of today for one ride
+app.get('/api/parks/:parkId/rides/:rideId/forecast', (req, res) => {
+  const { parkId, rideId } = req.params;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  const ride = findRide(parkId, rideId);
+  if (!ride) {
+    return res.status(404).json({ error: 'Ride not found' });
+  }
+  
+  res.json({
+    rideId,
+    name: ride.name,
+    currentWait: ride.currentWait,
+    status: ride.status,
+    predictions: forecastModel.predictRide(parkId, ride),
+    trainedAt: forecastModel.trainedAt
+  });
+});
+
+// Get forecast accuracy (our model vs. ThemeParks.wiki) over recent days
+app.get('/api/forecasts/accuracy', validate(schemas.forecastAccuracy), async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  
+  try {
+    // Scored days are shared by every park, so a day counts once it is over in all of them
+    res.json(await forecastModel.getAccuracyReport(getParkTodayDates()[0], days));
+  } catch (error) {
+    console.error('Error getting forecast accuracy:', error);
+    res.status(500).json({ error: 'Failed to get forecast accuracy' });
+  }
+});
+
+// Get a ride's Individual Lightning Lane price curve for a day plus daily history
+app.get('/api/parks/:parkId/rides/:rideId/lightning-lane-prices', validate(schemas.lightningLanePrices), async (req, res) => {
+  const { parkId, rideId } = req.params;
+  const today = getTodayDateString(parkRegistry.getTimezone(parkId));
+  const date = req.query.date || today;
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  try {
+    const day = await priceHistory.getDay(rideId, date);
+    const history = await priceHistory.getDailySummary(rideId, addDays(today, -days), today);
+    const ride = findRide(parkId, rideId);
+    
+    res.json({
+      rideId,
+      rideName: ride?.name || day?.rideName || null,
+      current: ride ? {
+        state: ride.paidReturnState,
+        amount: ride.paidReturnPriceAmount,
+        currency: ride.paidReturnPriceCurrency,
+        formatted: ride.paidReturnPrice
+      } : null,
+      date,
+      points: day?.points || [],
+      history
+    });
+  } catch (error) {
+    console.error('Error getting Lightning Lane prices:', error);
+    res.status(500).json({ error: 'Failed to get Lightning Lane prices' });
+  }
+});
+
 // Get rides with Lightning Lane
 app.get('/api/parks/lightning-lane-rides', (req, res) => {
   const ridesWithLL = [];
@@ -764,328 +1775,1181 @@ app.get('/api/parks/lightning-lane-rides', (req, res) => {
   res.json({ rides: ridesWithLL });
 });
 
+// Register an anonymous device and issue its auth token
+app.post('/api/auth/register', registerLimiter, validate(schemas.register), async (req, res) => {
+  try {
+    const { userId, token } = await auth.registerDevice(req.body.userId);
+    console.log(`🔑 Registered device account ${userId}`);
+    res.json({ success: true, userId, token });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error registering device account:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Get the user bound to the request's auth token
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: req.authFailed ? 'Invalid or expired auth token' : 'Authentication required' });
+  }
+  res.json({ userId: req.user.id, provider: req.user.provider });
+});
+
 // Save user preferences (rides)
-app.post('/api/users/:userId/preferences', (req, res) => {
+app.post('/api/users/:userId/preferences', validate(schemas.preferences), async (req, res) => {
   const { userId } = req.params;
   const { preferences } = req.body;
 
-  userPreferences[userId] = preferences;
+  try {
+    await userStore.set(COLLECTIONS.preferences, userId, preferences);
 
-  res.json({
-    success: true,
-    message: 'Preferences saved',
-    userId: userId
-  });
+    res.json({
+      success: true,
+      message: 'Preferences saved',
+      userId: userId
+    });
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    res.status(500).json({ error: 'Failed to save preferences' });
+  }
 });
 
-// Get user preferences
-app.get('/api/users/:userId/preferences', (req, res) => {
+// Get notification settings (defaults filled in)
+app.get('/api/users/:userId/notification-settings', async (req, res) => {
   const { userId } = req.params;
   
-  res.json({
-    preferences: userPreferences[userId] || {}
-  });
+  try {
+    res.json({
+      settings: notificationSettings.resolveSettings(await userStore.get(COLLECTIONS.notificationSettings, userId) || {})
+    });
+  } catch (error) {
+    console.error('Error getting notification settings:', error);
+    res.status(500).json({ error: 'Failed to get notification settings' });
+  }
 });
 
-// Get rides that meet user's criteria
-app.get('/api/users/:userId/ready-rides', (req, res) => {
+// Update notification settings; omitted fields keep their value, null clears
+// quietHours and dailyCap
+app.put('/api/users/:userId/notification-settings', validate(schemas.notificationSettings), async (req, res) => {
   const { userId } = req.params;
-  const preferences = userPreferences[userId];
-
-  if (!preferences) {
-    return res.json({ readyRides: [] });
-  }
-
-  const readyRides = [];
-
-  Object.entries(parkDataCache).forEach(([parkKey, parkData]) => {
-    Object.entries(parkData.lands).forEach(([landName, landRides]) => {
-      landRides.forEach(ride => {
-        const pref = preferences[ride.id];
-        if (pref && pref.enabled && ride.currentWait <= pref.maxWait &&
-            (ride.status === 'OPERATING' || ride.status === 'DOWN')) {
-          readyRides.push({
-            ...ride,
-            land: landName,
-            park: parkData.name
+  
+  try {
+    const updated = await userStore.update(COLLECTIONS.notificationSettings, userId, (settings = {}) => {
+      Object.keys(notificationSettings.DEFAULT_SETTINGS).forEach(key => {
+        if (req.body[key] === undefined) return;
+        if (key === 'types') {
+          settings.types = { ...settings.types, ...req.body.types };
+        } else if (key === 'delivery') {
+          const delivery = { ...settings.delivery };
+          Object.entries(req.body.delivery).forEach(([type, choice]) => {
+            delivery[type] = { ...delivery[type], ...choice };
           });
+          settings.delivery = delivery;
+        } else {
+          settings[key] = req.body[key];
         }
       });
+      return settings;
     });
-  });
+    
+    res.json({
+      success: true,
+      message: 'Notification settings saved',
+      settings: notificationSettings.resolveSettings(updated)
+    });
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    res.status(500).json({ error: 'Failed to save notification settings' });
+  }
+});
+
+// Get user preferences
+app.get('/api/users/:userId/preferences', async (req, res) => {
+  const { userId } = req.params;
+  
+  try {
+    res.json({
+      preferences: await userStore.get(COLLECTIONS.preferences, userId) || {}
+    });
+  } catch (error) {
+    console.error('Error getting preferences:', error);
+    res.status(500).json({ error: 'Failed to get preferences' });
+  }
+});
+
+// Get rides that meet user's criteria
+app.get('/api/users/:userId/ready-rides', async (req, res) => {
+  const { userId } = req.params;
+  let preferences;
+
+  try {
+    preferences = await userStore.get(COLLECTIONS.preferences, userId);
+  } catch (error) {
+    console.error('Error getting preferences:', error);
+    return res.status(500).json({ error: 'Failed to get preferences' });
+  }
+
+  if (!preferences) {
+    return res.json({ readyRides: [] });
+  }
 
   res.json({
-    readyRides: readyRides,
+    readyRides: findReadyRides(preferences),
     timestamp: new Date().toISOString()
   });
 });
 
-// Register device for push notifications
-app.post('/api/users/:userId/register-device', (req, res) => {
+// Register a device for push notifications, or refresh it (call on every app
+// launch so lastSeen stays current). Builds that don't send a deviceId are
+// matched by push token.
+app.post('/api/users/:userId/register-device', validate(schemas.registerDevice), async (req, res) => {
   const { userId } = req.params;
-  const { pushToken } = req.body;
+  const { pushToken, platform, appVersion } = req.body;
 
-  if (!pushToken) {
-    return res.status(400).json({ error: 'Push token required' });
+  if (!Expo.isExpoPushToken(pushToken)) {
+    return sendValidationError(res, [{ field: 'pushToken', message: 'must be an Expo push token' }]);
   }
 
-  if (!Expo.isExpoPushToken(pushToken)) {
-    return res.status(400).json({ error: 'Invalid push token format' });
+  try {
+    const now = new Date().toISOString();
+    let deviceId = req.body.deviceId;
+    
+    // A push token belongs to one device; drop it from any other account
+    await removeDevicesWithToken(pushToken, userId);
+    
+    await userStore.update(COLLECTIONS.devices, userId, (devices = {}) => {
+      if (!deviceId) {
+        deviceId = Object.keys(devices).find(id => devices[id].token === pushToken) || generateId();
+      }
+      // Another device of this user can't keep the same token
+      Object.keys(devices).forEach(id => {
+        if (id !== deviceId && devices[id].token === pushToken) delete devices[id];
+      });
+      
+      devices[deviceId] = {
+        token: pushToken,
+        platform: platform || devices[deviceId]?.platform || null,
+        appVersion: appVersion || devices[deviceId]?.appVersion || null,
+        registeredAt: devices[deviceId]?.registeredAt || now,
+        lastSeen: now
+      };
+      return devices;
+    });
+
+    res.json({
+      success: true,
+      message: 'Device registered for push notifications',
+      userId: userId,
+      deviceId
+    });
+  } catch (error) {
+    console.error('Error registering device:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// List the user's registered devices
+app.get('/api/users/:userId/devices', async (req, res) => {
+  const { userId } = req.params;
+  
+  try {
+    const devices = await userStore.get(COLLECTIONS.devices, userId) || {};
+    res.json({
+      devices: Object.entries(devices).map(([deviceId, device]) => ({ deviceId, ...device }))
+    });
+  } catch (error) {
+    console.error('Error getting devices:', error);
+    res.status(500).json({ error: 'Failed to get devices' });
+  }
+});
+
+// Unregister one device
+app.delete('/api/users/:userId/devices/:deviceId', async (req, res) => {
+  const { userId, deviceId } = req.params;
+  
+  try {
+    const found = await removeDevice(userId, deviceId);
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    
+    res.json({ success: true, message: 'Device unregistered' });
+  } catch (error) {
+    console.error('Error unregistering device:', error);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+});
+
+// Unregister device: one device when a deviceId is given, otherwise all of
+// them (what builds from before multi-device support expect)
+app.post('/api/users/:userId/unregister-device', validate(schemas.unregisterDevice), async (req, res) => {
+  const { userId } = req.params;
+  const { deviceId } = req.body;
+  
+  try {
+    if (deviceId) {
+      if (!(await removeDevice(userId, deviceId))) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+    } else {
+      await userStore.remove(COLLECTIONS.devices, userId);
+      await userStore.remove(COLLECTIONS.notifiedRides, userId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered'
+    });
+  } catch (error) {
+    console.error('Error unregistering device:', error);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+});
+
+// Get delivery status of the user's recent push notifications (last 48 hours)
+app.get('/api/users/:userId/push-deliveries', (req, res) => {
+  res.json({ deliveries: pushDelivery.listForUser(req.params.userId) });
+});
+
+// Get delivery status of one push notification (data.deliveryId in the push)
+app.get('/api/users/:userId/push-deliveries/:deliveryId', (req, res) => {
+  const { userId, deliveryId } = req.params;
+  const delivery = pushDelivery.get(userId, deliveryId);
+  
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  
+  res.json(delivery);
+});
+
+// Get the user's notification inbox, newest first
+// ?limit=20&cursor=<nextCursor from the previous page>&unread=true
+app.get('/api/users/:userId/notifications', validate(schemas.notificationInbox), async (req, res) => {
+  const { userId } = req.params;
+  const { limit = 20, cursor, unread } = req.query;
+  
+  try {
+    const page = await notificationInbox.list(userId, { limit, cursor, unreadOnly: unread === true });
+    
+    if (!page) {
+      return res.status(404).json({ error: 'Cursor not found' });
+    }
+    
+    // Per-device delivery status, while pushDelivery still has it (48 hours)
+    const deliveries = {};
+    pushDelivery.listForUser(userId).forEach(delivery => {
+      if (!delivery.notificationId) return;
+      (deliveries[delivery.notificationId] = deliveries[delivery.notificationId] || []).push({
+        deliveryId: delivery.id,
+        deviceId: delivery.deviceId,
+        status: delivery.status,
+        error: delivery.error
+      });
+    });
+    
+    res.json({
+      ...page,
+      notifications: page.notifications.map(entry => ({
+        ...entry,
+        deliveries: deliveries[entry.id] || []
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Mark every notification read
+app.post('/api/users/:userId/notifications/read-all', async (req, res) => {
+  const { userId } = req.params;
+  
+  try {
+    const updated = await notificationInbox.markRead(userId, null, true);
+    res.json({ success: true, message: 'Notifications marked read', updated });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// Mark one notification read or unread
+app.put('/api/users/:userId/notifications/:notificationId', validate(schemas.markNotification), async (req, res) => {
+  const { userId, notificationId } = req.params;
+  
+  try {
+    const updated = await notificationInbox.markRead(userId, [notificationId], req.body.read);
+    
+    if (updated === 0) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    
+    res.json({ success: true, message: req.body.read ? 'Notification marked read' : 'Notification marked unread' });
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+});
+
+// Subscribe to "ride reopened" alerts
+app.post('/api/users/:userId/ride-subscriptions', validate(schemas.rideSubscription), async (req, res) => {
+  const { userId } = req.params;
+  const { parkId, rideId, once } = req.body;
+  
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
+  
+  try {
+    const ride = findRide(parkId, rideId);
+    await userStore.update(COLLECTIONS.rideSubscriptions, userId, (subscriptions = {}) => {
+      subscriptions[rideId] = {
+        parkId,
+        rideName: ride?.name || subscriptions[rideId]?.rideName || null,
+        once: Boolean(once),
+        subscribedAt: new Date().toISOString(),
+        lastNotifiedAt: subscriptions[rideId]?.lastNotifiedAt || null
+      };
+      return subscriptions;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Subscribed to ride reopen alerts'
+    });
+  } catch (error) {
+    console.error('Error saving ride subscription:', error);
+    res.status(500).json({ error: 'Failed to save ride subscription' });
+  }
+});
+
+// Get user's ride reopen subscriptions
+app.get('/api/users/:userId/ride-subscriptions', async (req, res) => {
+  const { userId } = req.params;
+  
+  try {
+    res.json({ subscriptions: await userStore.get(COLLECTIONS.rideSubscriptions, userId) || {} });
+  } catch (error) {
+    console.error('Error getting ride subscriptions:', error);
+    res.status(500).json({ error: 'Failed to get ride subscriptions' });
+  }
+});
+
+// Unsubscribe from a ride's reopen alerts
+app.delete('/api/users/:userId/ride-subscriptions/:rideId', async (req, res) => {
+  const { userId, rideId } = req.params;
+  
+  try {
+    let found = false;
+    await userStore.update(COLLECTIONS.rideSubscriptions, userId, (subscriptions) => {
+      if (!subscriptions?.[rideId]) return subscriptions;
+      found = true;
+      delete subscriptions[rideId];
+      return subscriptions;
+    });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    
+    res.json({ success: true, message: 'Unsubscribed from ride reopen alerts' });
+  } catch (error) {
+    console.error('Error removing ride subscription:', error);
+    res.status(500).json({ error: 'Failed to remove ride subscription' });
+  }
+});
+
+// Add show to schedule
+app.post('/api/users/:userId/shows', validate(schemas.addShow), async (req, res) => {
+  const { userId } = req.params;
+  const { date, parkId = null, showId, showName, selectedTime, travelTime } = req.body;
+  
+  try {
+    await userStore.update(COLLECTIONS.showSchedules, userId, (schedules = {}) => {
+      if (!schedules[date]) {
+        schedules[date] = [];
+      }
+      
+      schedules[date].push({
+        showId,
+        parkId,
+        showName,
+        selectedTime,
+        travelTime,
+        notified: false,
+        finalWarningNotified: false
+      });
+      return schedules;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Show added to schedule'
+    });
+  } catch (error) {
+    console.error('Error adding show:', error);
+    res.status(500).json({ error: 'Failed to add show' });
+  }
+});
+
+// Get user's show schedule
+app.get('/api/users/:userId/shows', validate(schemas.scheduleQuery), async (req, res) => {
+  const { userId } = req.params;
+  const { date } = req.query;
+  
+  try {
+    const schedules = await userStore.get(COLLECTIONS.showSchedules, userId) || {};
+    
+    if (date) {
+      return res.json({ shows: schedules[date] || [] });
+    }
+    
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error getting shows:', error);
+    res.status(500).json({ error: 'Failed to get show schedule' });
+  }
+});
+
+// Delete show from schedule
+app.delete('/api/users/:userId/shows/:showId', validate(schemas.scheduleDelete), async (req, res) => {
+  const { userId, showId } = req.params;
+  const { date } = req.query;
+  
+  try {
+    let found = false;
+    await userStore.update(COLLECTIONS.showSchedules, userId, (schedules) => {
+      if (!schedules?.[date]) return schedules;
+      found = true;
+      schedules[date] = schedules[date].filter(show => show.showId !== showId);
+      return schedules;
+    });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, message: 'Show removed from schedule' });
+  } catch (error) {
+    console.error('Error removing show:', error);
+    res.status(500).json({ error: 'Failed to remove show' });
+  }
+});
+
+// Add dining reservation
+app.post('/api/users/:userId/dining', validate(schemas.addDining), async (req, res) => {
+  const { userId } = req.params;
+  const { date, parkId = null, restaurantName, time, type, travelTime } = req.body;
+  
+  const diningId = generateId();
+  
+  try {
+    await userStore.update(COLLECTIONS.diningSchedules, userId, (schedules = {}) => {
+      if (!schedules[date]) {
+        schedules[date] = [];
+      }
+      
+      schedules[date].push({
+        id: diningId,
+        parkId,
+        restaurantName,
+        time,
+        type,
+        travelTime,
+        notified: false
+      });
+      return schedules;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Dining reservation added',
+      diningId
+    });
+  } catch (error) {
+    console.error('Error adding dining reservation:', error);
+    res.status(500).json({ error: 'Failed to add dining reservation' });
+  }
+});
+
+// Get user's dining schedule
+app.get('/api/users/:userId/dining', validate(schemas.scheduleQuery), async (req, res) => {
+  const { userId } = req.params;
+  const { date } = req.query;
+  
+  try {
+    const schedules = await userStore.get(COLLECTIONS.diningSchedules, userId) || {};
+    
+    if (date) {
+      return res.json({ dining: schedules[date] || [] });
+    }
+    
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error getting dining schedule:', error);
+    res.status(500).json({ error: 'Failed to get dining schedule' });
+  }
+});
+
+// Update dining reservation
+app.put('/api/users/:userId/dining/:diningId', validate(schemas.updateDining), async (req, res) => {
+  const { userId, diningId } = req.params;
+  const { date, time, type, travelTime } = req.body;
+  
+  try {
+    let result = 'updated';
+    await userStore.update(COLLECTIONS.diningSchedules, userId, (schedules) => {
+      if (!schedules?.[date]) {
+        result = 'no-schedule';
+        return schedules;
+      }
+      
+      const dining = schedules[date].find(d => d.id === diningId);
+      
+      if (!dining) {
+        result = 'no-reservation';
+        return schedules;
+      }
+      
+      if (time) dining.time = time;
+      if (type) dining.type = type;
+      if (travelTime !== undefined) dining.travelTime = travelTime;
+      dining.notified = false; // Reset notification
+      return schedules;
+    });
+    
+    if (result === 'no-schedule') {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    if (result === 'no-reservation') {
+      return res.status(404).json({ error: 'Dining reservation not found' });
+    }
+    
+    res.json({ success: true, message: 'Dining reservation updated' });
+  } catch (error) {
+    console.error('Error updating dining reservation:', error);
+    res.status(500).json({ error: 'Failed to update dining reservation' });
+  }
+});
+
+// Delete dining reservation
+app.delete('/api/users/:userId/dining/:diningId', validate(schemas.scheduleDelete), async (req, res) => {
+  const { userId, diningId } = req.params;
+  const { date } = req.query;
+  
+  try {
+    let found = false;
+    await userStore.update(COLLECTIONS.diningSchedules, userId, (schedules) => {
+      if (!schedules?.[date]) return schedules;
+      found = true;
+      schedules[date] = schedules[date].filter(d => d.id !== diningId);
+      return schedules;
+    });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, message: 'Dining reservation removed' });
+  } catch (error) {
+    console.error('Error removing dining reservation:', error);
+    res.status(500).json({ error: 'Failed to remove dining reservation' });
   }
+});
 
-  userDeviceTokens[userId] = pushToken;
+// Add Lightning Lane time
+app.post('/api/users/:userId/lightning-lane', validate(schemas.addLightningLane), async (req, res) => {
+  const { userId } = req.params;
+  const { date, parkId = findRideParkId(req.body.rideId), rideId, rideName, returnTime, travelTime } = req.body;
   
-  if (!notifiedRides[userId]) {
-    notifiedRides[userId] = new Set();
+  try {
+    await userStore.update(COLLECTIONS.lightningLanes, userId, (lanes = {}) => {
+      if (!lanes[date]) {
+        lanes[date] = {};
+      }
+      
+      lanes[date][rideId] = {
+        parkId,
+        rideName,
+        returnTime,
+        travelTime,
+        notified: false
+      };
+      return lanes;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Lightning Lane time added'
+    });
+  } catch (error) {
+    console.error('Error adding Lightning Lane:', error);
+    res.status(500).json({ error: 'Failed to add Lightning Lane time' });
   }
-
-  res.json({
-    success: true,
-    message: 'Device registered for push notifications',
-    userId: userId
-  });
 });
 
-// Unregister device
-app.post('/api/users/:userId/unregister-device', (req, res) => {
+// Get user's Lightning Lane schedule
+app.get('/api/users/:userId/lightning-lane', validate(schemas.scheduleQuery), async (req, res) => {
   const { userId } = req.params;
+  const { date } = req.query;
   
-  delete userDeviceTokens[userId];
-  delete notifiedRides[userId];
+  try {
+    const schedules = await userStore.get(COLLECTIONS.lightningLanes, userId) || {};
+    
+    if (date) {
+      return res.json({ lightningLanes: schedules[date] || {} });
+    }
+    
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error getting Lightning Lanes:', error);
+    res.status(500).json({ error: 'Failed to get Lightning Lane schedule' });
+  }
+});
 
-  res.json({
-    success: true,
-    message: 'Device unregistered'
-  });
+// Delete Lightning Lane time
+app.delete('/api/users/:userId/lightning-lane/:rideId', validate(schemas.scheduleDelete), async (req, res) => {
+  const { userId, rideId } = req.params;
+  const { date } = req.query;
+  
+  try {
+    let found = false;
+    await userStore.update(COLLECTIONS.lightningLanes, userId, (lanes) => {
+      if (!lanes?.[date]) return lanes;
+      found = true;
+      delete lanes[date][rideId];
+      return lanes;
+    });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, message: 'Lightning Lane time removed' });
+  } catch (error) {
+    console.error('Error removing Lightning Lane:', error);
+    res.status(500).json({ error: 'Failed to remove Lightning Lane time' });
+  }
 });
 
-// Add show to schedule
-app.post('/api/users/:userId/shows', (req, res) => {
+// Watch a ride's Lightning Lane return times
+app.post('/api/users/:userId/lightning-lane-watches', validate(schemas.lightningLaneWatch), async (req, res) => {
   const { userId } = req.params;
-  const { date, showId, showName, selectedTime, travelTime } = req.body;
+  const { parkId, rideId, queue, returnBefore, notifyOnAvailable, priceAlerts } = req.body;
   
-  if (!date || !showId || !showName || !selectedTime || travelTime === undefined) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
   }
   
-  if (!userShowSchedules[userId]) {
-    userShowSchedules[userId] = {};
+  const ride = findRide(parkId, rideId);
+  if (!ride) {
+    return res.status(404).json({ error: 'Ride not found' });
   }
   
-  if (!userShowSchedules[userId][date]) {
-    userShowSchedules[userId][date] = [];
+  try {
+    await userStore.update(COLLECTIONS.lightningLaneWatches, userId, (watches = {}) => {
+      watches[rideId] = {
+        parkId,
+        rideName: ride.name,
+        queue: queue || null,
+        returnBefore: returnBefore || null,
+        notifyOnAvailable: notifyOnAvailable !== false,
+        priceAlerts: Boolean(priceAlerts),
+        createdAt: new Date().toISOString(),
+        // Seed with the current state so only future changes notify
+        lastStates: {
+          RETURN_TIME: ride.returnState,
+          PAID_RETURN_TIME: ride.paidReturnState
+        },
+        earlyMatched: {}
+      };
+      return watches;
+    });
+    
+    res.json({
+      success: true,
+      message: 'Lightning Lane watch saved'
+    });
+  } catch (error) {
+    console.error('Error saving Lightning Lane watch:', error);
+    res.status(500).json({ error: 'Failed to save Lightning Lane watch' });
   }
-  
-  userShowSchedules[userId][date].push({
-    showId,
-    showName,
-    selectedTime,
-    travelTime,
-    notified: false,
-    finalWarningNotified: false
-  });
-  
-  res.json({
-    success: true,
-    message: 'Show added to schedule'
-  });
 });
 
-// Get user's show schedule
-app.get('/api/users/:userId/shows', (req, res) => {
+// Get user's Lightning Lane watches
+app.get('/api/users/:userId/lightning-lane-watches', async (req, res) => {
   const { userId } = req.params;
-  const { date } = req.query;
   
-  if (date) {
-    const shows = userShowSchedules[userId]?.[date] || [];
-    return res.json({ shows });
+  try {
+    res.json({ watches: await userStore.get(COLLECTIONS.lightningLaneWatches, userId) || {} });
+  } catch (error) {
+    console.error('Error getting Lightning Lane watches:', error);
+    res.status(500).json({ error: 'Failed to get Lightning Lane watches' });
   }
-  
-  res.json({ schedules: userShowSchedules[userId] || {} });
 });
 
-// Delete show from schedule
-app.delete('/api/users/:userId/shows/:showId', (req, res) => {
-  const { userId, showId } = req.params;
-  const { date } = req.query;
+// Stop watching a ride's Lightning Lane
+app.delete('/api/users/:userId/lightning-lane-watches/:rideId', async (req, res) => {
+  const { userId, rideId } = req.params;
   
-  if (!date || !userShowSchedules[userId]?.[date]) {
-    return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    let found = false;
+    await userStore.update(COLLECTIONS.lightningLaneWatches, userId, (watches) => {
+      if (!watches?.[rideId]) return watches;
+      found = true;
+      delete watches[rideId];
+      return watches;
+    });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Watch not found' });
+    }
+    
+    res.json({ success: true, message: 'Lightning Lane watch removed' });
+  } catch (error) {
+    console.error('Error removing Lightning Lane watch:', error);
+    res.status(500).json({ error: 'Failed to remove Lightning Lane watch' });
   }
-  
-  userShowSchedules[userId][date] = userShowSchedules[userId][date].filter(
-    show => show.showId !== showId
-  );
-  
-  res.json({ success: true, message: 'Show removed from schedule' });
 });
 
-// Add dining reservation
-app.post('/api/users/:userId/dining', (req, res) => {
+// Get user's archives
+app.get('/api/users/:userId/archives', async (req, res) => {
   const { userId } = req.params;
-  const { date, restaurantName, time, type, travelTime } = req.body;
   
-  if (!date || !restaurantName || !time || !type || travelTime === undefined) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  try {
+    res.json({ archives: await userStore.get(COLLECTIONS.archives, userId) || {} });
+  } catch (error) {
+    console.error('Error getting archives:', error);
+    res.status(500).json({ error: 'Failed to get archives' });
   }
+});
+
+// Delete archived date
+app.delete('/api/users/:userId/archives/:date', validate(schemas.archiveDelete), async (req, res) => {
+  const { userId, date } = req.params;
   
-  if (!userDiningSchedules[userId]) {
-    userDiningSchedules[userId] = {};
+  try {
+    let found = false;
+    await userStore.update(COLLECTIONS.archives, userId, (archives) => {
+      if (!archives?.[date]) return archives;
+      found = true;
+      delete archives[date];
+      return archives;
+    });
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Archive not found' });
+    }
+    
+    res.json({ success: true, message: 'Archive deleted' });
+  } catch (error) {
+    console.error('Error deleting archive:', error);
+    res.status(500).json({ error: 'Failed to delete archive' });
   }
+});
+
+// Create a party; the creator is its owner and first member
+app.post('/api/users/:userId/parties', validate(schemas.createParty), async (req, res) => {
+  const { userId } = req.params;
+  const { name, displayName } = req.body;
   
-  if (!userDiningSchedules[userId][date]) {
-    userDiningSchedules[userId][date] = [];
+  try {
+    const party = await parties.createParty(userId, { name, displayName });
+    console.log(`👪 User ${userId} created party ${party.name}`);
+    res.json({ success: true, message: 'Party created', party });
+  } catch (error) {
+    console.error('Error creating party:', error);
+    res.status(500).json({ error: 'Failed to create party' });
   }
-  
-  const diningId = generateId();
-  
-  userDiningSchedules[userId][date].push({
-    id: diningId,
-    restaurantName,
-    time,
-    type,
-    travelTime,
-    notified: false
-  });
-  
-  res.json({
-    success: true,
-    message: 'Dining reservation added',
-    diningId
-  });
 });
 
-// Get user's dining schedule
-app.get('/api/users/:userId/dining', (req, res) => {
+// Get the parties the user belongs to
+app.get('/api/users/:userId/parties', async (req, res) => {
   const { userId } = req.params;
-  const { date } = req.query;
   
-  if (date) {
-    const dining = userDiningSchedules[userId]?.[date] || [];
-    return res.json({ dining });
+  try {
+    res.json({ parties: await parties.listForUser(userId) });
+  } catch (error) {
+    console.error('Error getting parties:', error);
+    res.status(500).json({ error: 'Failed to get parties' });
   }
-  
-  res.json({ schedules: userDiningSchedules[userId] || {} });
 });
 
-// Update dining reservation
-app.put('/api/users/:userId/dining/:diningId', (req, res) => {
-  const { userId, diningId } = req.params;
-  const { date, time, type, travelTime } = req.body;
+// Join a party with its join code
+app.post('/api/users/:userId/parties/join', validate(schemas.joinParty), async (req, res) => {
+  const { userId } = req.params;
+  const { code, displayName } = req.body;
   
-  if (!date || !userDiningSchedules[userId]?.[date]) {
-    return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    const party = await parties.joinParty(userId, code, displayName);
+    console.log(`👪 User ${userId} joined party ${party.name}`);
+    res.json({ success: true, message: 'Joined party', party });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error joining party:', error);
+    res.status(500).json({ error: 'Failed to join party' });
   }
+});
+
+// Get one party
+app.get('/api/users/:userId/parties/:partyId', requirePartyMember, (req, res) => {
+  res.json({ party: req.party });
+});
+
+// Replace the party's join code (owner only)
+app.post('/api/users/:userId/parties/:partyId/join-code', requirePartyMember, async (req, res) => {
+  const { userId, partyId } = req.params;
   
-  const dining = userDiningSchedules[userId][date].find(d => d.id === diningId);
+  if (req.party.ownerId !== userId) {
+    return res.status(403).json({ error: 'Only the party owner can change the join code' });
+  }
   
-  if (!dining) {
-    return res.status(404).json({ error: 'Dining reservation not found' });
+  try {
+    const party = await parties.rotateJoinCode(partyId);
+    res.json({ success: true, message: 'Join code changed', joinCode: party.joinCode });
+  } catch (error) {
+    console.error('Error changing join code:', error);
+    res.status(500).json({ error: 'Failed to change join code' });
   }
+});
+
+// Leave the party (memberId is yourself) or remove a member (owner only)
+app.delete('/api/users/:userId/parties/:partyId/members/:memberId', requirePartyMember, async (req, res) => {
+  const { userId, partyId, memberId } = req.params;
   
-  if (time) dining.time = time;
-  if (type) dining.type = type;
-  if (travelTime !== undefined) dining.travelTime = travelTime;
-  dining.notified = false; // Reset notification
+  if (memberId !== userId && req.party.ownerId !== userId) {
+    return res.status(403).json({ error: 'Only the party owner can remove members' });
+  }
+  if (!req.party.members[memberId]) {
+    return res.status(404).json({ error: 'Member not found' });
+  }
   
-  res.json({ success: true, message: 'Dining reservation updated' });
+  try {
+    const party = await parties.removeMember(partyId, memberId);
+    res.json({
+      success: true,
+      message: memberId === userId ? 'Left party' : 'Member removed',
+      party
+    });
+  } catch (error) {
+    console.error('Error removing party member:', error);
+    res.status(500).json({ error: 'Failed to remove party member' });
+  }
 });
 
-// Delete dining reservation
-app.delete('/api/users/:userId/dining/:diningId', (req, res) => {
-  const { userId, diningId } = req.params;
+// Get the party's plan for a date, or every planned date
+app.get('/api/users/:userId/parties/:partyId/plan', requirePartyMember, validate(schemas.scheduleQuery), async (req, res) => {
+  const { partyId } = req.params;
   const { date } = req.query;
   
-  if (!date || !userDiningSchedules[userId]?.[date]) {
-    return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    if (date) {
+      return res.json({ date, plan: await parties.getPlan(partyId, date) });
+    }
+    
+    res.json({ plans: await parties.getPlans(partyId) });
+  } catch (error) {
+    console.error('Error getting party plan:', error);
+    res.status(500).json({ error: 'Failed to get party plan' });
   }
-  
-  userDiningSchedules[userId][date] = userDiningSchedules[userId][date].filter(
-    d => d.id !== diningId
-  );
-  
-  res.json({ success: true, message: 'Dining reservation removed' });
 });
 
-// Add Lightning Lane time
-app.post('/api/users/:userId/lightning-lane', (req, res) => {
-  const { userId } = req.params;
-  const { date, rideId, rideName, returnTime, travelTime } = req.body;
+// Add a show to the party plan
+app.post('/api/users/:userId/parties/:partyId/shows', requirePartyMember, validate(schemas.addShow), async (req, res) => {
+  const { userId, partyId } = req.params;
+  const { date, parkId = null, showId, showName, selectedTime, travelTime } = req.body;
   
-  if (!date || !rideId || !rideName || !returnTime || travelTime === undefined) {
-    return res.status(400).json({ error: 'Missing required fields' });
+  try {
+    await parties.changePlan(partyId, date, userId, (plan, now) => {
+      plan.shows.push({
+        showId,
+        parkId,
+        showName,
+        selectedTime,
+        travelTime,
+        notifiedUserIds: [],
+        finalWarningUserIds: [],
+        addedBy: userId,
+        addedAt: now,
+        updatedBy: userId,
+        updatedAt: now
+      });
+      return { action: 'added', kind: 'show', itemId: showId, name: showName };
+    });
+    
+    res.json({ success: true, message: 'Show added to party plan' });
+  } catch (error) {
+    console.error('Error adding party show:', error);
+    res.status(500).json({ error: 'Failed to add show' });
   }
+});
+
+// Remove a show from the party plan
+app.delete('/api/users/:userId/parties/:partyId/shows/:showId', requirePartyMember, validate(schemas.scheduleDelete), async (req, res) => {
+  const { userId, partyId, showId } = req.params;
+  const { date } = req.query;
   
-  if (!userLightningLanes[userId]) {
-    userLightningLanes[userId] = {};
+  try {
+    const removed = await parties.changePlan(partyId, date, userId, (plan) => {
+      const show = plan.shows.find(s => s.showId === showId);
+      if (!show) return null;
+      plan.shows = plan.shows.filter(s => s.showId !== showId);
+      return { action: 'removed', kind: 'show', itemId: showId, name: show.showName };
+    });
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Show not found' });
+    }
+    
+    res.json({ success: true, message: 'Show removed from party plan' });
+  } catch (error) {
+    console.error('Error removing party show:', error);
+    res.status(500).json({ error: 'Failed to remove show' });
   }
+});
+
+// Add a dining reservation to the party plan
+app.post('/api/users/:userId/parties/:partyId/dining', requirePartyMember, validate(schemas.addDining), async (req, res) => {
+  const { userId, partyId } = req.params;
+  const { date, parkId = null, restaurantName, time, type, travelTime } = req.body;
   
-  if (!userLightningLanes[userId][date]) {
-    userLightningLanes[userId][date] = {};
-  }
+  const diningId = generateId();
   
-  userLightningLanes[userId][date][rideId] = {
-    rideName,
-    returnTime,
-    travelTime,
-    notified: false
-  };
+  try {
+    await parties.changePlan(partyId, date, userId, (plan, now) => {
+      plan.dining.push({
+        id: diningId,
+        parkId,
+        restaurantName,
+        time,
+        type,
+        travelTime,
+        notifiedUserIds: [],
+        addedBy: userId,
+        addedAt: now,
+        updatedBy: userId,
+        updatedAt: now
+      });
+      return { action: 'added', kind: 'dining', itemId: diningId, name: restaurantName };
+    });
+    
+    res.json({ success: true, message: 'Dining reservation added to party plan', diningId });
+  } catch (error) {
+    console.error('Error adding party dining reservation:', error);
+    res.status(500).json({ error: 'Failed to add dining reservation' });
+  }
+});
+
+// Update a dining reservation in the party plan
+app.put('/api/users/:userId/parties/:partyId/dining/:diningId', requirePartyMember, validate(schemas.updateDining), async (req, res) => {
+  const { userId, partyId, diningId } = req.params;
+  const { date, time, type, travelTime } = req.body;
   
-  res.json({
-    success: true,
-    message: 'Lightning Lane time added'
-  });
+  try {
+    const updated = await parties.changePlan(partyId, date, userId, (plan, now) => {
+      const dining = plan.dining.find(d => d.id === diningId);
+      if (!dining) return null;
+      
+      if (time) dining.time = time;
+      if (type) dining.type = type;
+      if (travelTime !== undefined) dining.travelTime = travelTime;
+      dining.notifiedUserIds = []; // Remind everyone again
+      dining.updatedBy = userId;
+      dining.updatedAt = now;
+      return { action: 'updated', kind: 'dining', itemId: diningId, name: dining.restaurantName };
+    });
+    
+    if (!updated) {
+      return res.status(404).json({ error: 'Dining reservation not found' });
+    }
+    
+    res.json({ success: true, message: 'Dining reservation updated' });
+  } catch (error) {
+    console.error('Error updating party dining reservation:', error);
+    res.status(500).json({ error: 'Failed to update dining reservation' });
+  }
 });
 
-// Get user's Lightning Lane schedule
-app.get('/api/users/:userId/lightning-lane', (req, res) => {
-  const { userId } = req.params;
+// Remove a dining reservation from the party plan
+app.delete('/api/users/:userId/parties/:partyId/dining/:diningId', requirePartyMember, validate(schemas.scheduleDelete), async (req, res) => {
+  const { userId, partyId, diningId } = req.params;
   const { date } = req.query;
   
-  if (date) {
-    const lightningLanes = userLightningLanes[userId]?.[date] || {};
-    return res.json({ lightningLanes });
+  try {
+    const removed = await parties.changePlan(partyId, date, userId, (plan) => {
+      const dining = plan.dining.find(d => d.id === diningId);
+      if (!dining) return null;
+      plan.dining = plan.dining.filter(d => d.id !== diningId);
+      return { action: 'removed', kind: 'dining', itemId: diningId, name: dining.restaurantName };
+    });
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Dining reservation not found' });
+    }
+    
+    res.json({ success: true, message: 'Dining reservation removed from party plan' });
+  } catch (error) {
+    console.error('Error removing party dining reservation:', error);
+    res.status(500).json({ error: 'Failed to remove dining reservation' });
   }
+});
+
+// Add or replace a Lightning Lane return time in the party plan
+app.post('/api/users/:userId/parties/:partyId/lightning-lane', requirePartyMember, validate(schemas.addLightningLane), async (req, res) => {
+  const { userId, partyId } = req.params;
+  const { date, parkId = findRideParkId(req.body.rideId), rideId, rideName, returnTime, travelTime } = req.body;
   
-  res.json({ schedules: userLightningLanes[userId] || {} });
+  try {
+    await parties.changePlan(partyId, date, userId, (plan, now) => {
+      const existing = plan.lightningLanes[rideId];
+      plan.lightningLanes[rideId] = {
+        parkId,
+        rideName,
+        returnTime,
+        travelTime,
+        notifiedUserIds: [],
+        addedBy: existing ? existing.addedBy : userId,
+        addedAt: existing ? existing.addedAt : now,
+        updatedBy: userId,
+        updatedAt: now
+      };
+      return { action: existing ? 'updated' : 'added', kind: 'lightning-lane', itemId: rideId, name: rideName };
+    });
+    
+    res.json({ success: true, message: 'Lightning Lane time added to party plan' });
+  } catch (error) {
+    console.error('Error adding party Lightning Lane:', error);
+    res.status(500).json({ error: 'Failed to add Lightning Lane time' });
+  }
 });
 
-// Delete Lightning Lane time
-app.delete('/api/users/:userId/lightning-lane/:rideId', (req, res) => {
-  const { userId, rideId } = req.params;
+// Remove a Lightning Lane return time from the party plan
+app.delete('/api/users/:userId/parties/:partyId/lightning-lane/:rideId', requirePartyMember, validate(schemas.scheduleDelete), async (req, res) => {
+  const { userId, partyId, rideId } = req.params;
   const { date } = req.query;
   
-  if (!date || !userLightningLanes[userId]?.[date]) {
-    return res.status(404).json({ error: 'Schedule not found' });
+  try {
+    const removed = await parties.changePlan(partyId, date, userId, (plan) => {
+      const lane = plan.lightningLanes[rideId];
+      if (!lane) return null;
+      delete plan.lightningLanes[rideId];
+      return { action: 'removed', kind: 'lightning-lane', itemId: rideId, name: lane.rideName };
+    });
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Lightning Lane time not found' });
+    }
+    
+    res.json({ success: true, message: 'Lightning Lane time removed from party plan' });
+  } catch (error) {
+    console.error('Error removing party Lightning Lane:', error);
+    res.status(500).json({ error: 'Failed to remove Lightning Lane time' });
   }
-  
-  delete userLightningLanes[userId][date][rideId];
-  
-  res.json({ success: true, message: 'Lightning Lane time removed' });
 });
 
-// Get user's archives
-app.get('/api/users/:userId/archives', (req, res) => {
+// Plan a day: order the must-do rides (comma-separated ids) for the least
+// predicted wait and walking around the user's shows, dining and Lightning
+// Lanes, personal and party. Ask again to re-plan from now with live data,
+// e.g. after a ride goes down.
+app.get('/api/users/:userId/plan', validate(schemas.dayPlan), async (req, res) => {
   const { userId } = req.params;
+  const { date, parkId, start } = req.query;
+  const rideIds = [...new Set(req.query.rides.split(',').map(id => id.trim()).filter(Boolean))];
   
-  res.json({ archives: archivedSchedules[userId] || {} });
-});
-
-// Delete archived date
-app.delete('/api/users/:userId/archives/:date', (req, res) => {
-  const { userId, date } = req.params;
+  if (!parkDataCache[parkId]) {
+    return res.status(404).json({ error: 'Park not found' });
+  }
   
-  if (!archivedSchedules[userId]?.[date]) {
-    return res.status(404).json({ error: 'Archive not found' });
+  const timeZone = parkRegistry.getTimezone(parkId);
+  const today = getTodayDateString(timeZone);
+  if (date < today) {
+    return sendValidationError(res, [{ field: 'date', message: 'must not be in the past' }]);
+  }
+  if (rideIds.length === 0 || rideIds.length > PLAN_MAX_RIDES) {
+    return sendValidationError(res, [{ field: 'rides', message: `must list 1 to ${PLAN_MAX_RIDES} ride ids` }]);
   }
   
-  delete archivedSchedules[userId][date];
+  const hours = parkScheduleCache[parkId]?.days[date];
+  if (hours && !hours.isOpen) {
+    return res.status(409).json({ error: 'Park is closed on that date' });
+  }
   
-  res.json({ success: true, message: 'Archive deleted' });
+  try {
+    const now = Date.now();
+    const openAt = hours?.openingTime
+      ? Date.parse(hours.openingTime)
+      : toInstant(date, PLAN_DEFAULT_HOURS.open, timeZone).getTime();
+    const closeAt = hours?.closingTime
+      ? Date.parse(hours.closingTime)
+      : toInstant(date, PLAN_DEFAULT_HOURS.close, timeZone).getTime();
+    let startAt = start ? toInstant(date, start, timeZone).getTime() : openAt;
+    if (date === today) startAt = Math.max(startAt, now);
+    
+    const commitments = await getDayCommitments(userId, date, parkId);
+    const bookedRideIds = new Set(commitments.filter(c => c.type === 'lightning-lane').map(c => c.rideId));
+    const hourStarts = Array.from({ length: 24 }, (_, hour) =>
+      toInstant(date, `${String(hour).padStart(2, '0')}:00`, timeZone).getTime()
+    );
+    
+    // Rides report CLOSED overnight, so that only counts once the park is open
+    const liveStatus = date === today;
+    const parkOpen = liveStatus && now >= openAt;
+    const rides = [];
+    const unscheduled = [];
+    rideIds.forEach(rideId => {
+      const ride = findRide(parkId, rideId);
+      if (!ride) {
+        unscheduled.push({ rideId, name: null, reason: 'not-found' });
+      } else if (bookedRideIds.has(rideId)) {
+        unscheduled.push({ rideId, name: ride.name, reason: 'lightning-lane' });
+      } else if (ride.status === 'REFURBISHMENT') {
+        unscheduled.push({ rideId, name: ride.name, reason: 'refurbishment' });
+      } else if (parkOpen && ride.status === 'CLOSED') {
+        unscheduled.push({ rideId, name: ride.name, reason: 'closed' });
+      } else {
+        rides.push({
+          rideId,
+          name: ride.name,
+          land: ride.land,
+          status: liveStatus ? ride.status : null,
+          location: parkDataCache[parkId].locations?.[rideId] || null,
+          waits: predictHourlyWaits(parkId, ride, date, today),
+          earliestAt: liveStatus && ride.status === 'DOWN' ? now + PLAN_DOWN_RECHECK_MINUTES * 60000 : null
+        });
+      }
+    });
+    
+    const plan = itinerary.planDay({ rides, commitments, hourStarts, startAt, endAt: closeAt });
+    
+    res.json({
+      date,
+      park: parkDataCache[parkId].name,
+      timezone: timeZone,
+      startAt: new Date(startAt).toISOString(),
+      endAt: new Date(closeAt).toISOString(),
+      itinerary: plan.itinerary,
+      unscheduled: [...unscheduled, ...plan.unscheduled],
+      totalPredictedWait: plan.totalPredictedWait,
+      totalWalkMinutes: plan.totalWalkMinutes,
+      plannedAt: new Date(now).toISOString(),
+      lastUpdated: parkDataCache[parkId].lastUpdated
+    });
+  } catch (error) {
+    console.error('Error planning day:', error);
+    res.status(500).json({ error: 'Failed to plan day' });
+  }
 });
 
 // Manual refresh endpoint
-app.post('/api/refresh', async (req, res) => {
+app.post('/api/refresh', auth.requireAdmin, refreshLimiter, async (req, res) => {
   try {
     await updateParkDataCache();
     res.json({
@@ -1101,19 +2965,30 @@ app.post('/api/refresh', async (req, res) => {
   }
 });
 
-// DEBUG: Check registered devices (REMOVE IN PRODUCTION)
-app.get('/api/debug/devices', (req, res) => {
-  res.json({
-    registeredDevices: Object.keys(userDeviceTokens).length,
-    deviceTokens: Object.keys(userDeviceTokens),
-    userPreferences: Object.keys(userPreferences),
-  });
+// DEBUG: Check registered devices (admin only)
+app.get('/api/debug/devices', auth.requireAdmin, async (req, res) => {
+  try {
+    const devices = await userStore.list(COLLECTIONS.devices);
+    const preferences = await userStore.list(COLLECTIONS.preferences);
+    res.json({
+      registeredDevices: Object.values(devices).reduce((total, userDevices) => total + Object.keys(userDevices).length, 0),
+      usersWithDevices: Object.keys(devices),
+      userPreferences: Object.keys(preferences),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
 });
 
-// DEBUG: Manually trigger notification check (REMOVE IN PRODUCTION)
-app.post('/api/debug/check-notifications', async (req, res) => {
+// DEBUG: Manually trigger notification check (admin only)
+app.post('/api/debug/check-notifications', auth.requireAdmin, async (req, res) => {
   try {
     await checkAndNotifyUsers();
+    await checkRideReopenings();
+    await checkLightningLaneWatches();
     await checkEventReminders();
     res.json({
       success: true,
@@ -1132,11 +3007,12 @@ app.post('/api/debug/check-notifications', async (req, res) => {
 app.get('/api/parks/:parkId/dining', (req, res) => {
   try {
     const { parkId } = req.params;
-    const data = diningService.getCachedData();
+    if (!parkRegistry.getPark(parkId)) {
+      return res.status(404).json({ error: 'Park not found' });
+    }
     
-    const restaurants = parkId === 'disneyland'
-      ? data.disneyland
-      : data.californiaAdventure;
+    const data = diningService.getCachedData();
+    const restaurants = getScrapedParkData(data, parkId);
     
     res.json({
       restaurants,
@@ -1153,11 +3029,12 @@ app.get('/api/parks/:parkId/dining', (req, res) => {
 app.get('/api/parks/:parkId/shows', (req, res) => {
   try {
     const { parkId } = req.params;
-    const data = showsService.getCachedData();
+    if (!parkRegistry.getPark(parkId)) {
+      return res.status(404).json({ error: 'Park not found' });
+    }
     
-    const shows = parkId === 'disneyland'
-      ? data.disneyland
-      : data.californiaAdventure;
+    const data = showsService.getCachedData();
+    const shows = getScrapedParkData(data, parkId);
     
     res.json({
       shows,
@@ -1174,8 +3051,20 @@ app.get('/api/parks/:parkId/shows', (req, res) => {
  * Initialize and start server
  */
 async function startServer() {
+  checkDataDir();
+  await userStore.init();
+  await migrateLegacyTokens();
+  await downtimeTracker.init();
+  await pushDelivery.init();
+  
   console.log('Performing initial data fetch...');
   await updateParkDataCache();
+  await updateParkSchedules();
+  
+  // Roll up any wait history days finished while the server was down
+  runDailyHistoryJobs().catch(err => {
+    console.error('Wait history job error:', err);
+  });
   
   // Fetch Disney dining data in background (don't block startup)
   console.log('Starting Disney dining data scraper in background...');
@@ -1192,16 +3081,47 @@ async function startServer() {
   // Schedule park data updates every 1 minute
   cron.schedule('*/1 * * * *', () => {
     console.log('Scheduled update triggered');
-    updateParkDataCache().then(() => {
-      checkAndNotifyUsers();
-      checkEventReminders();
+    updateParkDataCache().then(async () => {
+      await checkAndNotifyUsers();
+      await checkRideReopenings();
+      await checkLightningLaneWatches();
+      await checkEventReminders();
+      await pushDelivery.retryDue();
+    }).catch(err => {
+      console.error('Scheduled update error:', err);
+    });
+  });
+  
+  // Settle sent pushes from Expo receipts every 5 minutes
+  cron.schedule('*/5 * * * *', () => {
+    pushDelivery.checkReceipts().catch(err => {
+      console.error('Push receipt check error:', err);
+    });
+  });
+  
+  // Refresh park hours and events hourly
+  cron.schedule('5 * * * *', () => {
+    updateParkSchedules().catch(err => {
+      console.error('Park schedule update error:', err);
     });
   });
   
   // Auto-archive past dates daily at midnight PST
   cron.schedule('0 0 * * *', () => {
     console.log('Daily archive task triggered');
-    autoArchivePastDates();
+    autoArchivePastDates().catch(err => {
+      console.error('Archive task error:', err);
+    });
+  }, {
+    timezone: 'America/Los_Angeles'
+  });
+    
+  // Aggregate yesterday's wait history and prune old minute data at 12:15 AM PST
+  cron.schedule('15 0 * * *', () => {
+    console.log('Daily wait history downsample triggered');
+    runDailyHistoryJobs().catch(err => {
+      console.error('Wait history job error:', err);
+    });
   }, {
     timezone: 'America/Los_Angeles'
   });
@@ -1237,8 +3157,7 @@ async function startServer() {
     Server running on port ${PORT}
     
     Parks:
-    - Disneyland Park
-    - Disney California Adventure
+${parkRegistry.getParks().map(park => `    - ${park.name}`).join('\n')}
     
     Features:
     - Ride wait times & notifications
@@ -1246,6 +3165,8 @@ async function startServer() {
     - Dining reservations & reminders
     - Lightning Lane tracking
     - Multi-day planning
+    - Shared party plans
+    - Day planner
     - Auto-archiving
     
     Data updates every minute
@@ -1255,8 +3176,9 @@ async function startServer() {
 }
 
 // Handle graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  await userStore.close();
   process.exit(0);
 });
 
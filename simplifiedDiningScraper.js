@@ -2,6 +2,8 @@
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
 const fs = require('fs').promises;
+const landResolver = require('./landResolver');
+const parkRegistry = require('./parkRegistry');
 
 // Get Chrome executable path
 async function getChromePath() {
@@ -15,10 +17,7 @@ async function getChromePath() {
 
 class SimplifiedDiningScraper {
   constructor() {
-    this.cache = {
-      disneyland: {},
-      californiaAdventure: {}
-    };
+    this.cache = this.emptyCache();
     this.lastScrape = null;
   }
 
@@ -103,8 +102,10 @@ class SimplifiedDiningScraper {
       await this.saveToFile();
 
       console.log('✅ Dining data scraping complete!');
-      console.log(`   - Disneyland: ${Object.values(this.cache.disneyland).flat().length} restaurants`);
-      console.log(`   - DCA: ${Object.values(this.cache.californiaAdventure).flat().length} restaurants`);
+      parkRegistry.getScrapedParks().forEach(park => {
+        const lands = this.cache[park.scraper.cacheKey] || {};
+        console.log(`   - ${park.name}: ${Object.values(lands).flat().length} restaurants`);
+      });
       
       return this.cache;
 
@@ -119,8 +120,8 @@ class SimplifiedDiningScraper {
   }
 
   organizeRestaurants(restaurants) {
-    const disneyland = {};
-    const californiaAdventure = {};
+    const organized = this.emptyCache();
+    const parks = parkRegistry.getScrapedParks();
     const today = this.getTodayDate();
 
     restaurants.forEach(restaurant => {
@@ -129,7 +130,7 @@ class SimplifiedDiningScraper {
         name: restaurant.name,
         
         locationName: restaurant.locationName,
-        land: this.extractLandFromLocation(restaurant.locationName),
+        land: 'Other',
         coordinates: restaurant.marker ? {
           lat: restaurant.marker.lat,
           lng: restaurant.marker.lng
@@ -150,54 +151,44 @@ class SimplifiedDiningScraper {
         status: 'OPERATING'
       };
 
-      if (data.locationName?.includes('Disneyland Park')) {
-        if (!disneyland[data.land]) disneyland[data.land] = [];
-        disneyland[data.land].push(data);
-      } else if (data.locationName?.includes('California Adventure')) {
-        if (!californiaAdventure[data.land]) californiaAdventure[data.land] = [];
-        californiaAdventure[data.land].push(data);
-      } else if (data.locationName?.includes('Downtown Disney')) {
-        if (!disneyland['Downtown Disney']) disneyland['Downtown Disney'] = [];
-        disneyland['Downtown Disney'].push(data);
+      const park = parks.find(p => p.scraper.locationNames.some(name => data.locationName?.includes(name)));
+      if (park) {
+        data.land = landResolver.resolve(park.id, data);
+        const lands = organized[park.scraper.cacheKey];
+        if (!lands[data.land]) lands[data.land] = [];
+        lands[data.land].push(data);
       }
     });
 
-    this.sortRestaurants(disneyland);
-    this.sortRestaurants(californiaAdventure);
+    Object.values(organized).forEach(lands => this.sortRestaurants(lands));
 
-    return { disneyland, californiaAdventure };
+    return organized;
   }
 
-  extractLandFromLocation(locationName) {
-    if (!locationName) return 'Other';
-    
-    const landMap = {
-      'Main Street': 'Main Street U.S.A.',
-      'Adventureland': 'Adventureland',
-      'Frontierland': 'Frontierland',
-      'New Orleans Square': 'New Orleans Square',
-      'Critter Country': 'Critter Country',
-      'Star Wars': 'Star Wars: Galaxy\'s Edge',
-      'Fantasyland': 'Fantasyland',
-      'Toontown': 'Mickey\'s Toontown',
-      'Tomorrowland': 'Tomorrowland',
-      
-      'Buena Vista': 'Buena Vista Street',
-      'Hollywood Land': 'Hollywood Land',
-      'Avengers Campus': 'Avengers Campus',
-      'Cars Land': 'Cars Land',
-      'Grizzly Peak': 'Grizzly Peak',
-      'Pixar Pier': 'Pixar Pier',
-      'Paradise': 'Paradise Gardens',
-      
-      'Downtown Disney': 'Downtown Disney'
-    };
-    
-    for (const [key, value] of Object.entries(landMap)) {
-      if (locationName.includes(key)) return value;
-    }
-    
-    return 'Other';
+  /**
+   * One empty land map per scraped park, keyed by its cache key
+   */
+  emptyCache() {
+    return Object.fromEntries(parkRegistry.getScrapedParks().map(park => [park.scraper.cacheKey, {}]));
+  }
+
+  /**
+   * Re-resolve lands in a saved cache, so files written under older land
+   * rules group the same way as a fresh scrape
+   */
+  regroupCache(cache) {
+    const regrouped = this.emptyCache();
+    parkRegistry.getScrapedParks().forEach(park => {
+      const lands = regrouped[park.scraper.cacheKey];
+      Object.values(cache?.[park.scraper.cacheKey] || {}).flat().forEach(item => {
+        item.land = landResolver.resolve(park.id, item);
+        if (!lands[item.land]) lands[item.land] = [];
+        lands[item.land].push(item);
+      });
+    });
+
+    Object.values(regrouped).forEach(lands => this.sortRestaurants(lands));
+    return regrouped;
   }
 
   extractPriceRange(priceRangeArray) {
@@ -284,13 +275,13 @@ class SimplifiedDiningScraper {
     try {
       const fileData = await fs.readFile('./dining-data-cache.json', 'utf8');
       const data = JSON.parse(fileData);
-      this.cache = data.cache;
+      this.cache = this.regroupCache(data.cache);
       this.lastScrape = new Date(data.lastScrape);
       console.log('📂 Loaded dining data from cache file');
       return this.cache;
     } catch (error) {
       console.log('📂 No cache file found, will return empty data');
-      return { disneyland: {}, californiaAdventure: {} };
+      return this.emptyCache();
     }
   }
 
@@ -2,6 +2,8 @@
 const puppeteer = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
 const fs = require('fs').promises;
+const landResolver = require('./landResolver');
+const parkRegistry = require('./parkRegistry');
 
 // Get Chrome executable path
 async function getChromePath() {
@@ -15,10 +17,7 @@ async function getChromePath() {
 
 class SimplifiedShowsScraper {
   constructor() {
-    this.cache = {
-      disneyland: {},
-      californiaAdventure: {}
-    };
+    this.cache = this.emptyCache();
     this.lastScrape = null;
   }
 
@@ -103,8 +102,10 @@ class SimplifiedShowsScraper {
       await this.saveToFile();
 
       console.log('✅ Shows data scraping complete!');
-      console.log(`   - Disneyland: ${Object.values(this.cache.disneyland).flat().length} shows`);
-      console.log(`   - DCA: ${Object.values(this.cache.californiaAdventure).flat().length} shows`);
+      parkRegistry.getScrapedParks().forEach(park => {
+        const lands = this.cache[park.scraper.cacheKey] || {};
+        console.log(`   - ${park.name}: ${Object.values(lands).flat().length} shows`);
+      });
       
       return this.cache;
 
@@ -119,8 +120,8 @@ class SimplifiedShowsScraper {
   }
 
   organizeShows(shows) {
-    const disneyland = {};
-    const californiaAdventure = {};
+    const organized = this.emptyCache();
+    const parks = parkRegistry.getScrapedParks();
     const today = this.getTodayDate();
 
     shows.forEach(show => {
@@ -129,7 +130,7 @@ class SimplifiedShowsScraper {
         name: show.name,
         
         locationName: show.locationName,
-        land: this.extractLandFromLocation(show.locationName),
+        land: 'Other',
         coordinates: show.marker ? {
           lat: show.marker.lat,
           lng: show.marker.lng
@@ -149,52 +150,44 @@ class SimplifiedShowsScraper {
         status: 'OPERATING'
       };
 
-      if (data.locationName?.includes('Disneyland Park')) {
-        if (!disneyland[data.land]) disneyland[data.land] = [];
-        disneyland[data.land].push(data);
-      } else if (data.locationName?.includes('California Adventure')) {
-        if (!californiaAdventure[data.land]) californiaAdventure[data.land] = [];
-        californiaAdventure[data.land].push(data);
+      const park = parks.find(p => p.scraper.locationNames.some(name => data.locationName?.includes(name)));
+      if (park) {
+        data.land = landResolver.resolve(park.id, data);
+        const lands = organized[park.scraper.cacheKey];
+        if (!lands[data.land]) lands[data.land] = [];
+        lands[data.land].push(data);
       }
     });
 
-    this.sortShows(disneyland);
-    this.sortShows(californiaAdventure);
+    Object.values(organized).forEach(lands => this.sortShows(lands));
 
-    return { disneyland, californiaAdventure };
+    return organized;
   }
 
-  extractLandFromLocation(locationName) {
-    if (!locationName) return 'Other';
-    
-    const landMap = {
-      'Main Street': 'Main Street U.S.A.',
-      'Adventureland': 'Adventureland',
-      'Frontierland': 'Frontierland',
-      'New Orleans Square': 'New Orleans Square',
-      'Critter Country': 'Critter Country',
-      'Star Wars': 'Star Wars: Galaxy\'s Edge',
-      'Fantasyland': 'Fantasyland',
-      'Toontown': 'Mickey\'s Toontown',
-      'Tomorrowland': 'Tomorrowland',
-      
-      'Buena Vista': 'Buena Vista Street',
-      'Hollywood Land': 'Hollywood Land',
-      'Avengers Campus': 'Avengers Campus',
-      'Cars Land': 'Cars Land',
-      'Grizzly Peak': 'Grizzly Peak',
-      'Pixar Pier': 'Pixar Pier',
-      'Paradise': 'Paradise Gardens',
-      
-      'Rivers of America': 'Frontierland',
-      'Central Plaza': 'Main Street U.S.A.'
-    };
-    
-    for (const [key, value] of Object.entries(landMap)) {
-      if (locationName.includes(key)) return value;
-    }
-    
-    return 'Other';
+  /**
+   * One empty land map per scraped park, keyed by its cache key
+   */
+  emptyCache() {
+    return Object.fromEntries(parkRegistry.getScrapedParks().map(park => [park.scraper.cacheKey, {}]));
+  }
+
+  /**
+   * Re-resolve lands in a saved cache, so files written under older land
+   * rules group the same way as a fresh scrape
+   */
+  regroupCache(cache) {
+    const regrouped = this.emptyCache();
+    parkRegistry.getScrapedParks().forEach(park => {
+      const lands = regrouped[park.scraper.cacheKey];
+      Object.values(cache?.[park.scraper.cacheKey] || {}).flat().forEach(item => {
+        item.land = landResolver.resolve(park.id, item);
+        if (!lands[item.land]) lands[item.land] = [];
+        lands[item.land].push(item);
+      });
+    });
+
+    Object.values(regrouped).forEach(lands => this.sortShows(lands));
+    return regrouped;
   }
 
   extractDuration(show) {
@@ -286,13 +279,13 @@ class SimplifiedShowsScraper {
     try {
       const fileData = await fs.readFile('./shows-data-cache.json', 'utf8');
       const data = JSON.parse(fileData);
-      this.cache = data.cache;
+      this.cache = this.regroupCache(data.cache);
       this.lastScrape = new Date(data.lastScrape);
       console.log('📂 Loaded shows data from cache file');
       return this.cache;
     } catch (error) {
       console.log('📂 No shows cache file found, will return empty data');
-      return { disneyland: {}, californiaAdventure: {} };
+      return this.emptyCache();
     }
   }
 
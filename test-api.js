@@ -8,6 +8,9 @@ const axios = require('axios');
 // Change this to your backend URL
 const API_BASE_URL = process.env.API_URL || 'https://rideguide-55846ba76982.herokuapp.com';
 
+// Needed for the manual refresh test
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
 const colors = {
   green: '\x1b[32m',
   red: '\x1b[31m',
@@ -20,16 +23,17 @@ function log(message, color = 'reset') {
   console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
-async function testEndpoint(name, method, url, data = null) {
+async function testEndpoint(name, method, url, data = null, headers = {}) {
   try {
     log(`\n🧪 Testing: ${name}`, 'cyan');
     log(`   ${method} ${url}`, 'yellow');
     
+    const config = { headers };
     let response;
     if (method === 'GET') {
-      response = await axios.get(url);
+      response = await axios.get(url, config);
     } else if (method === 'POST') {
-      response = await axios.post(url, data);
+      response = await axios.post(url, data, config);
     }
     
     log(`   ✓ Status: ${response.status}`, 'green');
@@ -59,7 +63,8 @@ async function runTests() {
   log('========================================\n', 'cyan');
   log(`Testing API at: ${API_BASE_URL}\n`);
 
-  const testUserId = `test_user_${Date.now()}`;
+  let testUserId = `test_user_${Date.now()}`;
+  let authToken = null;
   const results = {
     passed: 0,
     failed: 0,
@@ -133,7 +138,23 @@ async function runTests() {
   if (dcaWaitTimes.success) results.passed++;
   else results.failed++;
 
-  // Test 5: Save User Preferences
+  // Test 5: Register Device (user routes need the token it returns)
+  results.total++;
+  const register = await testEndpoint(
+    'Register Device',
+    'POST',
+    `${API_BASE_URL}/api/auth/register`,
+    {}
+  );
+  if (register.success) {
+    results.passed++;
+    testUserId = register.data.userId;
+    authToken = register.data.token;
+  } else {
+    results.failed++;
+  }
+
+  // Test 6: Save User Preferences
   results.total++;
   const savePrefs = await testEndpoint(
     'Save User Preferences',
@@ -144,27 +165,32 @@ async function runTests() {
         'ride_1': { enabled: true, maxWait: 30 },
         'ride_2': { enabled: true, maxWait: 45 }
       }
-    }
+    },
+    { Authorization: `Bearer ${authToken}` }
   );
   if (savePrefs.success) results.passed++;
   else results.failed++;
 
-  // Test 6: Get User Preferences
+  // Test 7: Get User Preferences
   results.total++;
   const getPrefs = await testEndpoint(
     'Get User Preferences',
     'GET',
-    `${API_BASE_URL}/api/users/${testUserId}/preferences`
+    `${API_BASE_URL}/api/users/${testUserId}/preferences`,
+    null,
+    { Authorization: `Bearer ${authToken}` }
   );
   if (getPrefs.success) results.passed++;
   else results.failed++;
 
-  // Test 7: Get Ready Rides
+  // Test 8: Get Ready Rides
   results.total++;
   const readyRides = await testEndpoint(
     'Get Ready Rides for User',
     'GET',
-    `${API_BASE_URL}/api/users/${testUserId}/ready-rides`
+    `${API_BASE_URL}/api/users/${testUserId}/ready-rides`,
+    null,
+    { Authorization: `Bearer ${authToken}` }
   );
   if (readyRides.success) {
     results.passed++;
@@ -175,13 +201,15 @@ async function runTests() {
     results.failed++;
   }
 
-  // Test 8: Manual Refresh
+  // Test 9: Manual Refresh
   results.total++;
   log(`\n⏳ Triggering manual refresh (this may take 10-20 seconds)...`, 'yellow');
   const refresh = await testEndpoint(
     'Manual Refresh',
     'POST',
-    `${API_BASE_URL}/api/refresh`
+    `${API_BASE_URL}/api/refresh`,
+    null,
+    { 'X-Admin-Key': ADMIN_API_KEY }
   );
   if (refresh.success) results.passed++;
   else results.failed++;
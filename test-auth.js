@@ -0,0 +1,107 @@
+/**
+ * Checks for device tokens and the per-user route guards
+ * Run with: node test-auth.js
+ */
+
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+process.env.USER_STORE = 'file';
+process.env.USER_STORE_PATH = path.join(os.tmpdir(), `auth-test-${Date.now()}.json`);
+process.env.AUTH_SECRET = 'test-secret';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const express = require('express');
+const axios = require('axios');
+const { userStore } = require('./userStore');
+const auth = require('./auth');
+const { log, check, serve, finish, abort } = require('./testHarness');
+
+/**
+ * Helper: An app guarded the way server.js guards its routes
+ */
+function createApp() {
+  const app = express();
+  app.use(auth.authenticate);
+  app.use('/api/users/:userId', auth.requireSelf);
+  app.get('/api/parks', (req, res) => res.json({ user: req.user?.id || null }));
+  app.get('/api/users/:userId/preferences', (req, res) => res.json({ ok: true }));
+  app.get('/api/admin/status', auth.requireAdmin, (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+async function checkTokens() {
+  log('\n🧪 Device tokens', 'cyan');
+
+  const { userId, token } = await auth.registerDevice();
+  check('a registered token verifies to its user', auth.verifyDeviceToken(token) === userId);
+
+  const [prefix, payload] = token.split('.');
+  const forged = `${prefix}.${Buffer.from(JSON.stringify({ sub: 'someone_else', iat: 0 })).toString('base64url')}.${token.split('.')[2]}`;
+  check('a token with a changed payload is rejected', auth.verifyDeviceToken(forged) === null);
+  check('a token with a missing signature is rejected', auth.verifyDeviceToken(`${prefix}.${payload}`) === null);
+
+  let status = null;
+  try {
+    await auth.registerDevice('legacy_user');
+  } catch (error) {
+    status = error.status;
+  }
+  check('claiming a user id is refused without legacy access', status === 403);
+}
+
+async function checkRoutes(url) {
+  log('\n🧪 Route guards', 'cyan');
+
+  const { userId, token } = await auth.registerDevice();
+  const other = await auth.registerDevice();
+  const get = (route, headers = {}) => axios.get(`${url}${route}`, { headers, validateStatus: () => true });
+  const bearer = value => ({ Authorization: `Bearer ${value}` });
+
+  check('the owner can use their routes', (await get(`/api/users/${userId}/preferences`, bearer(token))).status === 200);
+  check('no token is 401', (await get(`/api/users/${userId}/preferences`)).status === 401);
+  check('another user\'s token is 403', (await get(`/api/users/${userId}/preferences`, bearer(other.token))).status === 403);
+
+  const stale = auth.issueDeviceToken('deleted_user');
+  const staleResponse = await get(`/api/users/deleted_user/preferences`, bearer(stale));
+  check('a token for an unknown account is 401', staleResponse.status === 401 &&
+    staleResponse.data.error === 'Invalid or expired auth token');
+
+  const publicResponse = await get('/api/parks', bearer(stale));
+  check('a bad token still reaches public routes', publicResponse.status === 200 && publicResponse.data.user === null);
+  check('public routes see the signed-in user', (await get('/api/parks', bearer(token))).data.user === userId);
+
+  check('admin routes need the key', (await get('/api/admin/status')).status === 401);
+  check('a wrong admin key is 403', (await get('/api/admin/status', { 'X-Admin-Key': 'nope' })).status === 403);
+  check('the admin key opens admin routes', (await get('/api/admin/status', { 'X-Admin-Key': 'test-admin-key' })).status === 200);
+}
+
+function checkProductionSecret() {
+  log('\n🧪 Production secret', 'cyan');
+
+  const env = { ...process.env, NODE_ENV: 'production' };
+  delete env.AUTH_SECRET;
+  const result = spawnSync(process.execPath, ['-e', 'require("./auth")'], {
+    cwd: __dirname,
+    env,
+    encoding: 'utf8'
+  });
+  check('production refuses to start without AUTH_SECRET',
+    result.status !== 0 && result.stderr.includes('AUTH_SECRET must be set in production'));
+}
+
+async function run() {
+  await userStore.init();
+  const server = await serve(createApp());
+
+  await checkTokens();
+  await checkRoutes(server.url);
+  checkProductionSecret();
+
+  await server.close();
+  await userStore.close();
+  finish();
+}
+
+run().catch(error => abort('Auth', error));
@@ -0,0 +1,80 @@
+/**
+ * Checks for the file-backed user store: what reaches the disk and what
+ * survives a restart. Backend-agnostic behavior is in test-user-store.js.
+ * Run with: node test-file-user-store.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserStore, COLLECTIONS } = require('./userStore');
+const { log, check, finish, abort } = require('./testHarness');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-user-store-test-'));
+
+/**
+ * Helper: A file store over `name` in the test directory, already loaded
+ */
+async function openStore(name) {
+  process.env.USER_STORE_PATH = path.join(dir, name);
+  const store = createUserStore('file');
+  await store.init();
+  return store;
+}
+
+async function checkRestart() {
+  log('\n🧪 Restarts', 'cyan');
+
+  const fresh = await openStore('restart.json');
+  check('a missing file starts empty', Object.keys(await fresh.list(COLLECTIONS.preferences)).length === 0);
+
+  await fresh.set(COLLECTIONS.preferences, 'persisted_user', { ride_1: { enabled: true } });
+  await fresh.close();
+
+  const reopened = await openStore('restart.json');
+  check('data survives a restart', (await reopened.get(COLLECTIONS.preferences, 'persisted_user'))?.ride_1?.enabled === true);
+  await reopened.close();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'restart.json'), 'utf8'));
+  check('the file records its format version', saved.version === 1 && Boolean(saved.collections));
+}
+
+async function checkWrites() {
+  log('\n🧪 Writes', 'cyan');
+
+  const store = await openStore('writes.json');
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    store.set(COLLECTIONS.preferences, `user_${index}`, { index })
+  ));
+  await store.close();
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'writes.json'), 'utf8'));
+  check('every concurrent write reaches the file', Object.keys(saved.collections.preferences).length === 20);
+  check('no temp file is left behind', !fs.existsSync(path.join(dir, 'writes.json.tmp')));
+}
+
+async function checkCorruptFile() {
+  log('\n🧪 Corrupt file', 'cyan');
+
+  const file = path.join(dir, 'corrupt.json');
+  fs.writeFileSync(file, '{"collections": ');
+
+  let failed = false;
+  try {
+    await openStore('corrupt.json');
+  } catch (error) {
+    failed = true;
+  }
+  check('a corrupt file stops startup', failed);
+  check('the corrupt file is left as it was', fs.readFileSync(file, 'utf8') === '{"collections": ');
+}
+
+async function run() {
+  await checkRestart();
+  await checkWrites();
+  await checkCorruptFile();
+  fs.rmSync(dir, { recursive: true, force: true });
+  finish();
+}
+
+run().catch(error => abort('File user store', error));
@@ -0,0 +1,111 @@
+/**
+ * Checks for the day planner's ordering
+ * Run with: node test-itinerary.js
+ */
+
+const { planDay } = require('./itinerary');
+const { log, check, finish, abort } = require('./testHarness');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+const DAY_START = Date.UTC(2030, 0, 1);
+const hourStarts = Array.from({ length: 24 }, (_, hour) => DAY_START + hour * HOUR);
+const at = (hour, minute = 0) => DAY_START + hour * HOUR + minute * MINUTE;
+
+/**
+ * Helper: A ride with the same predicted wait all day unless `waits` is given
+ */
+function ride(rideId, wait, extra = {}) {
+  return { rideId, name: `Ride ${rideId}`, land: 'Test Land', location: null, waits: Array(24).fill(wait), ...extra };
+}
+
+/**
+ * Helper: Plan a day from 9 AM to 9 PM
+ */
+function plan(rides, commitments = [], options = {}) {
+  return planDay({ rides, commitments, hourStarts, startAt: at(9), endAt: at(21), ...options });
+}
+
+const rideSteps = result => result.itinerary.filter(step => step.type === 'ride');
+
+function checkBasics() {
+  log('\n🧪 Basics', 'cyan');
+
+  const empty = plan([]);
+  check('no rides plans nothing', empty.itinerary.length === 0 && empty.totalPredictedWait === 0);
+
+  const result = plan([ride('a', 20), ride('b', 30)]);
+  check('every ride that fits is planned', rideSteps(result).length === 2 && result.unscheduled.length === 0);
+  check('total wait adds up the rides', result.totalPredictedWait === 50);
+  check('walks default to 8 minutes without locations', result.totalWalkMinutes === 16);
+  check('the first ride starts after the walk', rideSteps(result)[0].arriveAt === new Date(at(9, 8)).toISOString());
+}
+
+function checkOrdering() {
+  log('\n🧪 Ordering', 'cyan');
+
+  // Long wait in the morning, short one later: ride the other one first
+  const waits = Array(24).fill(5);
+  waits[9] = 90;
+  const result = plan([ride('busy-morning', 0, { waits }), ride('steady', 40)]);
+  check('a ride is moved to when its wait drops', rideSteps(result).map(step => step.rideId).join() === 'steady,busy-morning');
+
+  // Three rides in a line; starting at one end walks straight along it
+  const spot = lng => ({ lat: 33.81, lng });
+  const lined = [
+    ride('far', 10, { location: spot(-117.915) }),
+    ride('near', 10, { location: spot(-117.919) }),
+    ride('middle', 10, { location: spot(-117.917) })
+  ];
+  const walked = plan(lined, [], { startLocation: spot(-117.920) });
+  check('nearby rides are visited in walking order', rideSteps(walked).map(step => step.rideId).join() === 'near,middle,far');
+
+  const held = plan([ride('down', 10, { earliestAt: at(12) })]);
+  check('a held ride waits for `earliestAt`', rideSteps(held)[0].arriveAt === new Date(at(12)).toISOString());
+}
+
+function checkCommitments() {
+  log('\n🧪 Commitments', 'cyan');
+
+  const show = { type: 'show', name: 'Parade', showId: 'show_1', at: at(10), travelTime: 15, location: null };
+  const result = plan([ride('a', 30), ride('b', 30)], [show]);
+  const parade = result.itinerary.find(step => step.type === 'show');
+
+  check('the commitment is in the itinerary', Boolean(parade) && parade.leaveAt === new Date(at(9, 45)).toISOString());
+  check('no ride runs into the commitment', rideSteps(result).every(step =>
+    Date.parse(step.doneAt) <= at(9, 45) || Date.parse(step.arriveAt) >= at(10, 30)
+  ));
+  check('internal fields are left out', parade && !('location' in parade) && !('travelTime' in parade));
+
+  const past = { ...show, at: at(8) };
+  check('commitments over before the start are skipped', !plan([ride('a', 10)], [past]).itinerary.some(step => step.type === 'show'));
+}
+
+function checkLimits() {
+  log('\n🧪 Limits', 'cyan');
+
+  const result = plan([ride('short', 30), ride('long', 800)]);
+  check('a ride that can\'t finish before closing is unscheduled',
+    result.unscheduled.length === 1 && result.unscheduled[0].rideId === 'long' && result.unscheduled[0].reason === 'no-time');
+
+  const many = Array.from({ length: 12 }, (_, index) => ride(`r${index}`, 15 + index));
+  const started = Date.now();
+  const long = plan(many);
+  check('long lists are planned by the greedy search', rideSteps(long).length + long.unscheduled.length === 12);
+  check('long lists plan in under a second', Date.now() - started < 1000);
+}
+
+function run() {
+  checkBasics();
+  checkOrdering();
+  checkCommitments();
+  checkLimits();
+
+  finish();
+}
+
+try {
+  run();
+} catch (error) {
+  abort('Itinerary', error);
+}
@@ -0,0 +1,50 @@
+/**
+ * Checks for land resolution across the scraper and ThemeParks.wiki sources
+ * Run with: node test-land-resolver.js
+ */
+
+const landResolver = require('./landResolver');
+const { log, check, finish, abort } = require('./testHarness');
+
+// The monorail station sits inside the rough Downtown Disney polygon, so only
+// the override puts the monorail in Tomorrowland
+const MONORAIL_STATION = { lat: 33.809106, lng: -117.924613 };
+
+function checkOverrides() {
+  log('\n🧪 Overrides', 'cyan');
+
+  // The Disney website's id, as the shows scraper reports it
+  const scraped = landResolver.resolve('disneyland', {
+    id: '353313',
+    name: 'Disneyland Monorail',
+    locationName: 'Disneyland Park',
+    coordinates: MONORAIL_STATION
+  });
+  // The same attraction from ThemeParks.wiki, under its own UUID
+  const live = landResolver.resolve('disneyland', {
+    id: '6b2b8a2c-7a4e-4a3e-9d3f-0f5c1c7f2d11',
+    name: 'Disneyland® Monorail',
+    coordinates: MONORAIL_STATION
+  });
+
+  check('the scraped monorail is in Tomorrowland', scraped === 'Tomorrowland');
+  check('the ThemeParks.wiki monorail is in the same land', live === scraped);
+  check('names match regardless of case', landResolver.resolve('disneyland', { id: 'x', name: 'DISNEYLAND RAILROAD' }) === 'Main Street U.S.A.');
+}
+
+function checkFallbacks() {
+  log('\n🧪 Fallbacks', 'cyan');
+
+  check('an unknown entity with nothing to go on is "Other"',
+    landResolver.resolve('disneyland', { id: 'x', name: 'Somewhere Else' }) === 'Other');
+  check('an unknown park is "Other"',
+    landResolver.resolve('nowhere', { id: 'x', name: 'Space Mountain', coordinates: MONORAIL_STATION }) === 'Other');
+}
+
+try {
+  checkOverrides();
+  checkFallbacks();
+  finish();
+} catch (error) {
+  abort('Land resolver', error);
+}
@@ -0,0 +1,105 @@
+/**
+ * Checks for the notification inbox: recording, paging and read state
+ * Run with: node test-notification-inbox.js
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.USER_STORE = 'file';
+process.env.USER_STORE_PATH = path.join(os.tmpdir(), `notification-inbox-test-${Date.now()}.json`);
+
+const { userStore } = require('./userStore');
+const notificationInbox = require('./notificationInbox');
+const { log, check, finish, abort } = require('./testHarness');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Helper: Record `count` sent notifications for a user, one minute apart,
+ * and return their ids newest first
+ */
+async function recordMany(userId, count) {
+  const start = Date.now() - count * MINUTE;
+  for (let index = 0; index < count; index++) {
+    const message = { userId, title: `Alert ${index}`, body: '', data: { type: 'ride', rideId: `ride_${index}` } };
+    await notificationInbox.record([{ message, status: 'sent' }], new Date(start + index * MINUTE));
+  }
+  const page = await notificationInbox.list(userId, { limit: count });
+  return page.notifications.map(entry => entry.id);
+}
+
+async function checkRecording() {
+  log('\n🧪 Recording', 'cyan');
+
+  const userId = `test_user_${Date.now()}_record`;
+  const message = { userId, title: 'Ride Ready!', body: 'Space Mountain is at 15 minutes', data: { type: 'ride' } };
+  await notificationInbox.record([{ message, status: 'suppressed', reason: 'daily-cap' }]);
+
+  const page = await notificationInbox.list(userId);
+  const entry = page.notifications[0];
+  check('the entry is stored', page.notifications.length === 1 && entry.title === 'Ride Ready!');
+  check('the message carries the entry id', message.data.notificationId === entry.id);
+  check('suppressed entries keep their reason', entry.status === 'suppressed' && entry.reason === 'daily-cap');
+  check('new entries are unread', entry.readAt === null && page.unreadCount === 1);
+}
+
+async function checkPaging() {
+  log('\n🧪 Paging', 'cyan');
+
+  const userId = `test_user_${Date.now()}_paging`;
+  const ids = await recordMany(userId, 5);
+
+  const first = await notificationInbox.list(userId, { limit: 2 });
+  check('pages are newest first', first.notifications.map(entry => entry.id).join() === ids.slice(0, 2).join());
+  const second = await notificationInbox.list(userId, { limit: 2, cursor: first.nextCursor });
+  check('the cursor continues after the last entry', second.notifications.map(entry => entry.id).join() === ids.slice(2, 4).join());
+  const last = await notificationInbox.list(userId, { limit: 2, cursor: second.nextCursor });
+  check('the last page has no next cursor', last.notifications.length === 1 && last.nextCursor === null);
+  check('an unknown cursor is rejected', await notificationInbox.list(userId, { cursor: 'missing' }) === null);
+}
+
+async function checkUnreadPaging() {
+  log('\n🧪 Unread paging', 'cyan');
+
+  const userId = `test_user_${Date.now()}_unread`;
+  const ids = await recordMany(userId, 5);
+  await notificationInbox.markRead(userId, [ids[1]], true);
+
+  const first = await notificationInbox.list(userId, { limit: 2, unreadOnly: true });
+  check('read entries are left out', first.notifications.map(entry => entry.id).join() === [ids[0], ids[2]].join());
+  check('the unread count skips read entries', first.unreadCount === 4);
+
+  // The app marks what it has shown as read before asking for more
+  await notificationInbox.markRead(userId, first.notifications.map(entry => entry.id), true);
+  const second = await notificationInbox.list(userId, { limit: 2, unreadOnly: true, cursor: first.nextCursor });
+  check('a cursor marked read still pages', second !== null);
+  check('the next page picks up after it', second?.notifications.map(entry => entry.id).join() === ids.slice(3).join());
+  check('and is the last one', second?.nextCursor === null);
+}
+
+async function checkReadState() {
+  log('\n🧪 Read state', 'cyan');
+
+  const userId = `test_user_${Date.now()}_read`;
+  const ids = await recordMany(userId, 3);
+
+  check('marking one entry matches one', await notificationInbox.markRead(userId, [ids[0]], true) === 1);
+  check('unknown ids match nothing', await notificationInbox.markRead(userId, ['missing'], true) === 0);
+  await notificationInbox.markRead(userId, null, true);
+  check('null marks every entry read', (await notificationInbox.list(userId)).unreadCount === 0);
+  await notificationInbox.markRead(userId, [ids[2]], false);
+  check('entries can be marked unread again', (await notificationInbox.list(userId)).unreadCount === 1);
+}
+
+async function run() {
+  await userStore.init();
+  await checkRecording();
+  await checkPaging();
+  await checkUnreadPaging();
+  await checkReadState();
+  await userStore.close();
+  finish();
+}
+
+run().catch(error => abort('Notification inbox', error));
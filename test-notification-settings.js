@@ -0,0 +1,170 @@
+/**
+ * Checks for notification settings: what the settings route accepts and how
+ * stored settings shape a notification pass
+ * Run with: node test-notification-settings.js
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.USER_STORE = 'file';
+process.env.USER_STORE_PATH = path.join(os.tmpdir(), `notification-settings-test-${Date.now()}.json`);
+
+const { userStore, COLLECTIONS } = require('./userStore');
+const { validate, schemas } = require('./validation');
+const notificationSettings = require('./notificationSettings');
+const notificationText = require('./notificationText');
+const { log, check, finish, abort } = require('./testHarness');
+
+/**
+ * Helper: Run the settings route's validation on a body. Returns the
+ * rejected fields, or null when the body passes.
+ */
+function rejectedFields(body) {
+  let rejected = null;
+  const res = {
+    status() { return this; },
+    json(payload) { rejected = payload.details.map(detail => detail.field); }
+  };
+  validate(schemas.notificationSettings)({ params: {}, query: {}, body }, res, () => {});
+  return rejected;
+}
+
+const listSettings = () => userStore.list(COLLECTIONS.notificationSettings);
+
+/**
+ * Helper: One show final warning, the way the reminder check queues it
+ */
+function finalWarning(userId, minutes) {
+  return {
+    userId,
+    sound: 'default',
+    text: { key: 'showFinalWarning', params: { showName: 'Fantasmic!', minutes } },
+    data: { type: 'show-warning', showId: 'show_1' }
+  };
+}
+
+async function checkValidation() {
+  log('\n🧪 Settings route validation', 'cyan');
+
+  check('null clears quiet hours and the daily cap', rejectedFields({ quietHours: null, dailyCap: null }) === null);
+  for (const field of ['timeZone', 'locale', 'finalWarningMinutes', 'types']) {
+    const rejected = rejectedFields({ [field]: null });
+    check(`null ${field} is rejected`, rejected?.includes(field));
+  }
+  check('null type toggle is rejected', rejectedFields({ types: { show: null } })?.includes('types.show'));
+  check('known channels are accepted',
+    rejectedFields({ delivery: { dining: { priority: 'high', channelId: 'event-alerts' } } }) === null);
+  check('unknown channels are rejected',
+    rejectedFields({ delivery: { dining: { channelId: 'loud' } } })?.includes('delivery.dining.channelId'));
+}
+
+async function checkDelivery() {
+  log('\n🧪 Priority and channel per push type', 'cyan');
+
+  const userId = `test_user_${Date.now()}_delivery`;
+  await userStore.set(COLLECTIONS.notificationSettings, userId, {
+    delivery: { dining: { priority: 'high' } }
+  });
+
+  const messages = [
+    { userId, data: { type: 'ride', rideId: 'ride_1' } },
+    { userId, data: { type: 'lightning-lane-price', rideId: 'ride_1' } },
+    { userId, data: { type: 'dining', diningId: 'dining_1' } }
+  ];
+  const { allowed } = await notificationSettings.applySettings(messages, await listSettings());
+  const byType = Object.fromEntries(allowed.map(message => [message.data.type, message]));
+
+  check('ride alerts go out at high priority', byType.ride?.priority === 'high' && byType.ride?.channelId === 'ride-alerts');
+  check('price alerts go out at normal priority',
+    byType['lightning-lane-price']?.priority === 'normal' && byType['lightning-lane-price']?.channelId === 'price-alerts');
+  check('a user choice overrides only what it sets',
+    byType.dining?.priority === 'high' && byType.dining?.channelId === 'reminders');
+
+  await userStore.remove(COLLECTIONS.notificationSettings, userId);
+}
+
+async function checkQuietHours() {
+  log('\n🧪 Quiet hours', 'cyan');
+
+  const userId = `test_user_${Date.now()}_quiet`;
+  await userStore.set(COLLECTIONS.notificationSettings, userId, {
+    quietHours: { start: '22:00', end: '07:00' },
+    timeZone: 'UTC'
+  });
+
+  const night = new Date('2030-01-01T23:00:00Z');
+  const morning = new Date('2030-01-02T07:30:00Z');
+  const reminder = { userId, title: 'Dining Reminder!', data: { type: 'dining', diningId: 'dining_1' } };
+
+  const settings = await listSettings();
+  const release = async now => notificationSettings.releaseHeld(await userStore.list(COLLECTIONS.heldNotifications), settings, now);
+
+  const atNight = await notificationSettings.applySettings([reminder], settings, night);
+  check('nothing goes out during quiet hours', atNight.allowed.length === 0 && atNight.held.length === 0);
+  check('nothing is released before they end', (await release(night)).length === 0);
+
+  const released = await release(morning);
+  check('the reminder is released once they end', released.length === 1 && released[0].data.diningId === 'dining_1');
+  check('it goes out on the next pass', (await notificationSettings.applySettings(released, settings, morning)).allowed.length === 1);
+  check('it is released only once', (await release(morning)).length === 0);
+
+  const rideAlert = { userId, title: 'Ride Ready!', data: { type: 'ride', rideId: 'ride_1' } };
+  const alertAtNight = await notificationSettings.applySettings([rideAlert], settings, night);
+  check('alerts in quiet hours are dropped, not kept',
+    alertAtNight.held.length === 1 && alertAtNight.held[0].reason === 'quiet-hours');
+  check('dropped alerts are not released later', (await release(morning)).length === 0);
+
+  await userStore.remove(COLLECTIONS.notificationSettings, userId);
+}
+
+async function checkNotificationPass() {
+  log('\n🧪 Notification pass with null settings', 'cyan');
+
+  // Stored before the route rejected nulls
+  const userId = `test_user_${Date.now()}`;
+  await userStore.set(COLLECTIONS.notificationSettings, userId, {
+    quietHours: null,
+    dailyCap: null,
+    types: { 'show-warning': null },
+    finalWarningMinutes: null,
+    timeZone: null,
+    locale: null
+  });
+
+  const stored = await userStore.get(COLLECTIONS.notificationSettings, userId);
+  const settings = notificationSettings.resolveSettings(stored);
+  check('null values fall back to the defaults',
+    settings.timeZone === notificationSettings.DEFAULT_SETTINGS.timeZone &&
+    settings.locale === notificationSettings.DEFAULT_SETTINGS.locale &&
+    settings.finalWarningMinutes === notificationSettings.DEFAULT_SETTINGS.finalWarningMinutes &&
+    settings.types['show-warning'] === true);
+
+  let passed = null;
+  try {
+    const allSettings = await listSettings();
+    const localized = notificationText.localize([finalWarning(userId, settings.finalWarningMinutes)], allSettings);
+    passed = await notificationSettings.applySettings(localized, allSettings);
+  } catch (error) {
+    log(`   ${error.message}`, 'red');
+  }
+  check('the pass completes', passed !== null);
+  check('the warning is sent', passed?.allowed.length === 1);
+  check('the text uses the default lead time', passed?.allowed[0]?.body === 'Fantasmic! starts in 5 minutes!');
+
+  await userStore.remove(COLLECTIONS.notificationSettings, userId);
+  await userStore.remove(COLLECTIONS.notificationCounts, userId);
+}
+
+async function run() {
+  await userStore.init();
+  await checkValidation();
+  await checkNotificationPass();
+  await checkDelivery();
+  await checkQuietHours();
+  await userStore.close();
+
+  finish();
+}
+
+run().catch(error => abort('Notification settings', error));
@@ -0,0 +1,88 @@
+/**
+ * Checks for the in-memory rate limiter
+ * Run with: node test-rate-limit.js
+ */
+
+const express = require('express');
+const axios = require('axios');
+const { createRateLimiter, userOrIpKey } = require('./rateLimit');
+const { log, check, serve, finish, abort } = require('./testHarness');
+
+const WINDOW_MS = 500;
+
+/**
+ * Helper: An app limited to `max` requests per window for each X-Caller
+ * header; requests without one are not counted
+ */
+function createApp(max) {
+  const app = express();
+  app.use(createRateLimiter({
+    name: 'test',
+    windowMs: WINDOW_MS,
+    max,
+    keyGenerator: req => req.get('X-Caller')
+  }));
+  app.get('/', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+async function checkLimits(url) {
+  log('\n🧪 Limits', 'cyan');
+
+  const get = (caller) => axios.get(url, {
+    headers: caller ? { 'X-Caller': caller } : {},
+    validateStatus: () => true
+  });
+
+  const first = await get('a');
+  check('requests under the limit pass', first.status === 200);
+  check('the limit is advertised', first.headers['ratelimit-limit'] === '2' && first.headers['ratelimit-remaining'] === '1');
+
+  await get('a');
+  const over = await get('a');
+  check('the request over the limit is 429', over.status === 429);
+  check('it says when to retry', Number(over.headers['retry-after']) >= 1 && over.data.retryAfterSeconds >= 1);
+
+  check('other callers have their own count', (await get('b')).status === 200);
+  const uncounted = await Promise.all([get(), get(), get()]);
+  check('requests without a key are not limited', uncounted.every(response => response.status === 200));
+
+  await new Promise(resolve => setTimeout(resolve, WINDOW_MS + 100));
+  check('the count starts over in the next window', (await get('a')).status === 200);
+}
+
+async function checkSharedIp() {
+  log('\n🧪 Guests behind one IP', 'cyan');
+
+  // Stands in for auth.authenticate: X-User is the signed-in user
+  const app = express();
+  app.use((req, res, next) => {
+    if (req.get('X-User')) req.user = { id: req.get('X-User') };
+    next();
+  });
+  app.use(createRateLimiter({ name: 'client', windowMs: WINDOW_MS, max: 1, keyGenerator: userOrIpKey }));
+  app.get('/', (req, res) => res.json({ ok: true }));
+  const server = await serve(app);
+
+  const get = (user) => axios.get(server.url, {
+    headers: user ? { 'X-User': user } : {},
+    validateStatus: () => true
+  });
+
+  check('the first signed-in user passes', (await get('alice')).status === 200);
+  check('a second user on the same IP has their own count', (await get('bob')).status === 200);
+  check('each user is still limited', (await get('alice')).status === 429);
+  check('requests without a token are counted by IP', (await get()).status === 200 && (await get()).status === 429);
+
+  await server.close();
+}
+
+async function run() {
+  const server = await serve(createApp(2));
+  await checkLimits(server.url);
+  await server.close();
+  await checkSharedIp();
+  finish();
+}
+
+run().catch(error => abort('Rate limit', error));
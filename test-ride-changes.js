@@ -0,0 +1,97 @@
+/**
+ * Checks for park data versions: ?since= deltas and ETag revalidation
+ * Run with: node test-ride-changes.js
+ */
+
+const express = require('express');
+const compression = require('compression');
+const axios = require('axios');
+const rideChanges = require('./rideChanges');
+const { log, check, serve, finish, abort } = require('./testHarness');
+
+const park = { version: 0, rides: [] };
+
+/**
+ * Helper: Refresh the test park at `version` with the given waits
+ */
+function refresh(version, waits) {
+  const lands = {
+    Tomorrowland: Object.entries(waits).map(([id, currentWait]) => ({ id, status: 'OPERATING', currentWait }))
+  };
+  rideChanges.track('disneyland', lands, version);
+  park.version = version;
+  park.rides = lands.Tomorrowland;
+}
+
+/**
+ * Helper: A wait-times route set up like server.js's
+ */
+function createApp() {
+  const app = express();
+  app.use(compression());
+  app.get('/wait-times', (req, res) => {
+    if (req.query.since !== undefined) {
+      const since = Number(req.query.since);
+      res.set('ETag', rideChanges.etag('disneyland', park.version, `-since-${since}`));
+      return res.json({ version: park.version, ...rideChanges.changedSince('disneyland', park.rides, since) });
+    }
+    res.set('ETag', rideChanges.etag('disneyland', park.version));
+    // Padded past compression's 1 kB threshold
+    res.json({ version: park.version, rides: park.rides, padding: 'x'.repeat(2048) });
+  });
+  return app;
+}
+
+function checkDeltas() {
+  log('\n🧪 Deltas', 'cyan');
+
+  refresh(1000, { sm: 30, pp: 45 });
+  refresh(2000, { sm: 30, pp: 60 });
+
+  const changed = rideChanges.changedSince('disneyland', park.rides, 1000);
+  check('only rides changed after `since` are returned', !changed.full && changed.rides.map(ride => ride.id).join() === 'pp');
+  check('nothing is returned when up to date', rideChanges.changedSince('disneyland', park.rides, 2000).rides.length === 0);
+
+  const early = rideChanges.changedSince('disneyland', park.rides, 500);
+  check('a version before tracking started gets every ride', early.full && early.rides.length === 2);
+  check('an untracked park gets every ride', rideChanges.changedSince('nowhere', park.rides, 1000).full);
+}
+
+async function checkETags(url) {
+  log('\n🧪 ETags', 'cyan');
+
+  // Left compressed so Content-Encoding shows what was sent
+  const get = (query = '', headers = {}) => axios.get(`${url}/wait-times${query}`, {
+    headers,
+    decompress: false,
+    validateStatus: () => true
+  });
+
+  const first = await get();
+  const etag = first.headers.etag;
+  check('responses carry a weak ETag for the version', etag === 'W/"disneyland-2000"');
+  check('a matching If-None-Match is 304', (await get('', { 'If-None-Match': etag })).status === 304);
+
+  const delta = await get('?since=1000');
+  check('delta responses have their own ETag', delta.headers.etag === 'W/"disneyland-2000-since-1000"');
+  check('the full ETag doesn\'t match a delta', (await get('?since=1000', { 'If-None-Match': etag })).status === 200);
+
+  refresh(3000, { sm: 25, pp: 60 });
+  const refreshed = await get('', { 'If-None-Match': etag });
+  check('a refresh invalidates the old ETag', refreshed.status === 200 && refreshed.headers.etag === 'W/"disneyland-3000"');
+
+  const gzipped = await get('', { 'Accept-Encoding': 'gzip' });
+  check('large responses are gzipped', gzipped.headers['content-encoding'] === 'gzip');
+  check('gzipped responses revalidate too',
+    (await get('', { 'Accept-Encoding': 'gzip', 'If-None-Match': gzipped.headers.etag })).status === 304);
+}
+
+async function run() {
+  checkDeltas();
+  const server = await serve(createApp());
+  await checkETags(server.url);
+  await server.close();
+  finish();
+}
+
+run().catch(error => abort('Ride changes', error));
@@ -0,0 +1,71 @@
+/**
+ * Contract checks for the user store backends (file-only behavior is in
+ * test-file-user-store.js)
+ * Run with: node test-user-store.js
+ * Against the Firestore emulator:
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 FIREBASE_PROJECT_ID=demo-rideguide USER_STORE=firestore node test-user-store.js
+ */
+
+const os = require('os');
+const path = require('path');
+const { createUserStore, COLLECTIONS } = require('./userStore');
+const { log, check, finish, abort } = require('./testHarness');
+
+async function runChecks(store) {
+  const userId = `test_user_${Date.now()}`;
+
+  await store.set(COLLECTIONS.preferences, userId, { ride_1: { enabled: true, maxWait: 30 } });
+  const preferences = await store.get(COLLECTIONS.preferences, userId);
+  check('set/get round-trips an object', preferences?.ride_1?.maxWait === 30);
+
+  await store.set(COLLECTIONS.deviceTokens, userId, 'ExponentPushToken[test]');
+  check('stores plain strings', await store.get(COLLECTIONS.deviceTokens, userId) === 'ExponentPushToken[test]');
+
+  await store.set(COLLECTIONS.notifiedRides, userId, ['ride_1', 'ride_2']);
+  const notified = await store.get(COLLECTIONS.notifiedRides, userId);
+  check('stores arrays', Array.isArray(notified) && notified.length === 2);
+
+  await store.update(COLLECTIONS.showSchedules, userId, (schedules = {}) => {
+    schedules['2030-01-01'] = [{ showId: 'show_1', notified: false }];
+    return schedules;
+  });
+  await store.update(COLLECTIONS.showSchedules, userId, (schedules) => {
+    schedules['2030-01-01'][0].notified = true;
+    return schedules;
+  });
+  const shows = await store.get(COLLECTIONS.showSchedules, userId);
+  check('update applies read-modify-write', shows?.['2030-01-01']?.[0]?.notified === true);
+
+  const listed = await store.list(COLLECTIONS.preferences);
+  check('list includes the user', Boolean(listed[userId]));
+
+  const copy = await store.get(COLLECTIONS.preferences, userId);
+  copy.ride_1.maxWait = 99;
+  const reread = await store.get(COLLECTIONS.preferences, userId);
+  check('returned values are copies', reread.ride_1.maxWait === 30);
+
+  await store.update(COLLECTIONS.showSchedules, userId, () => undefined);
+  check('update returning undefined deletes', await store.get(COLLECTIONS.showSchedules, userId) === undefined);
+
+  for (const collection of Object.values(COLLECTIONS)) {
+    await store.remove(collection, userId);
+  }
+  check('remove deletes the entry', await store.get(COLLECTIONS.preferences, userId) === undefined);
+}
+
+async function run() {
+  const type = process.env.USER_STORE || 'file';
+  if (type === 'file' && !process.env.USER_STORE_PATH) {
+    process.env.USER_STORE_PATH = path.join(os.tmpdir(), `user-store-test-${Date.now()}.json`);
+  }
+
+  log(`\n🧪 Checking "${type}" user store`, 'cyan');
+  const store = createUserStore(type);
+  await store.init();
+  await runChecks(store);
+  await store.close();
+
+  finish();
+}
+
+run().catch(error => abort('User store', error));
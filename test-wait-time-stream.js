@@ -0,0 +1,143 @@
+/**
+ * Checks for the wait time event stream: snapshots, changed rides, filters
+ * and replay after a reconnect
+ * Run with: node test-wait-time-stream.js
+ */
+
+const http = require('http');
+const express = require('express');
+const waitTimeStream = require('./waitTimeStream');
+const { log, check, serve, finish, abort } = require('./testHarness');
+
+/**
+ * Helper: Stream route shaped like server.js's, without the park checks
+ */
+function createApp() {
+  const app = express();
+  app.get('/stream', (req, res) => {
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+    waitTimeStream.subscribe(req, res, {
+      parks: req.query.parks ? req.query.parks.split(',') : null,
+      rides: req.query.rides ? req.query.rides.split(',') : null,
+      lastEventId: Number.isNaN(lastEventId) ? undefined : lastEventId
+    });
+  });
+  return app;
+}
+
+/**
+ * Helper: Connect to the stream and collect its events as { id, event, data }
+ */
+function connect(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const request = http.get(url, { headers }, response => {
+      let buffer = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(block => {
+          const fields = {};
+          block.split('\n').forEach(line => {
+            const [name, ...rest] = line.split(': ');
+            fields[name] = rest.join(': ');
+          });
+          if (fields.event) {
+            events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+          }
+        });
+      });
+      resolve({
+        headers: response.headers,
+        events,
+        close: () => request.destroy()
+      });
+    });
+    request.on('error', reject);
+  });
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+const lands = (waits) => ({
+  Tomorrowland: [{ id: 'sm', name: 'Space Mountain', status: 'OPERATING', currentWait: waits.sm }],
+  Fantasyland: [{ id: 'pp', name: 'Peter Pan\'s Flight', status: 'OPERATING', currentWait: waits.pp }]
+});
+
+async function checkSnapshot(url) {
+  log('\n🧪 First connect', 'cyan');
+
+  waitTimeStream.publish('disneyland', lands({ sm: 30, pp: 45 }), '2030-01-01T10:00:00.000Z');
+  const client = await connect(`${url}/stream?rides=sm`);
+  await settle();
+
+  check('the response is an event stream', client.headers['content-type'].startsWith('text/event-stream'));
+  const snapshot = client.events[0];
+  check('it starts with a snapshot', snapshot?.event === 'snapshot');
+  check('the snapshot has only the rides asked for',
+    snapshot?.data.parks.disneyland?.rides.map(ride => ride.id).join() === 'sm');
+  check('rides are tagged with their land', snapshot?.data.parks.disneyland?.rides[0].land === 'Tomorrowland');
+  client.close();
+}
+
+async function checkChanges(url) {
+  log('\n🧪 Changed rides', 'cyan');
+
+  const all = await connect(`${url}/stream`);
+  const filtered = await connect(`${url}/stream?rides=sm`);
+  await settle();
+
+  waitTimeStream.publish('disneyland', lands({ sm: 30, pp: 60 }), '2030-01-01T10:05:00.000Z');
+  await settle();
+  const update = all.events.find(event => event.event === 'rides');
+  check('a refresh sends only the rides that changed', update?.data.rides.map(ride => ride.id).join() === 'pp');
+  check('clients filtered to other rides hear nothing', !filtered.events.some(event => event.event === 'rides'));
+
+  const count = all.events.length;
+  waitTimeStream.publish('disneyland', lands({ sm: 30, pp: 60 }), '2030-01-01T10:10:00.000Z');
+  await settle();
+  check('a refresh with no changes sends nothing', all.events.length === count);
+
+  all.close();
+  filtered.close();
+  await settle();
+  check('closed connections are dropped', waitTimeStream.clients.size === 0);
+}
+
+async function checkReplay(url) {
+  log('\n🧪 Reconnecting', 'cyan');
+
+  const first = await connect(`${url}/stream`);
+  await settle();
+  const lastSeen = first.events[first.events.length - 1].id;
+  first.close();
+
+  waitTimeStream.publish('disneyland', lands({ sm: 20, pp: 60 }), '2030-01-01T10:15:00.000Z');
+  waitTimeStream.publish('disneyland', lands({ sm: 20, pp: 25 }), '2030-01-01T10:20:00.000Z');
+
+  const resumed = await connect(`${url}/stream`, { 'Last-Event-ID': String(lastSeen) });
+  await settle();
+  check('missed changes are replayed in order',
+    resumed.events.map(event => event.data.rides?.[0].id).join() === 'sm,pp');
+  check('no snapshot is sent when replaying', !resumed.events.some(event => event.event === 'snapshot'));
+  resumed.close();
+
+  // An id from an earlier process is older than anything buffered
+  const stale = await connect(`${url}/stream`, { 'Last-Event-ID': '1' });
+  await settle();
+  check('an unknown id gets a fresh snapshot', stale.events.length === 1 && stale.events[0].event === 'snapshot');
+  stale.close();
+}
+
+async function run() {
+  const server = await serve(createApp());
+  await checkSnapshot(server.url);
+  await checkChanges(server.url);
+  await checkReplay(server.url);
+  await server.close();
+  finish();
+}
+
+run().catch(error => abort('Wait time stream', error));
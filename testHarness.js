@@ -0,0 +1,63 @@
+// testHarness.js - Output and pass/fail counting shared by the test-*.js check scripts
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+const results = { passed: 0, failed: 0 };
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function check(name, condition) {
+  if (condition) {
+    results.passed++;
+    log(`   ✓ ${name}`, 'green');
+  } else {
+    results.failed++;
+    log(`   ✗ ${name}`, 'red');
+  }
+}
+
+/**
+ * Serve an Express app on a free local port for HTTP checks. Resolves to
+ * { url, close }.
+ */
+function serve(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Print the totals and exit, non-zero if any check failed
+ */
+function finish() {
+  log(`\nPassed: ${results.passed}  Failed: ${results.failed}\n`, results.failed > 0 ? 'red' : 'green');
+  process.exit(results.failed > 0 ? 1 : 0);
+}
+
+/**
+ * Report a check script that threw before it could finish
+ */
+function abort(label, error) {
+  log(`\n❌ ${label} checks failed: ${error.message}`, 'red');
+  process.exit(1);
+}
+
+module.exports = {
+  log,
+  check,
+  serve,
+  finish,
+  abort,
+  results
+};
@@ -0,0 +1,155 @@
+// userStore.js - Durable storage for per-user state (preferences, tokens, schedules)
+const fs = require('fs').promises;
+const path = require('path');
+const { dataPath } = require('./dataDir');
+
+// Collection names shared by every store backend
+const COLLECTIONS = {
+  preferences: 'preferences',
+  deviceTokens: 'deviceTokens', // Single token per user from before multi-device support
+  notifiedRides: 'notifiedRides',
+  showSchedules: 'showSchedules',
+  diningSchedules: 'diningSchedules',
+  lightningLanes: 'lightningLanes',
+  archives: 'archives',
+  rideSubscriptions: 'rideSubscriptions',
+  lightningLaneWatches: 'lightningLaneWatches',
+  accounts: 'accounts',
+  devices: 'devices',
+  notificationSettings: 'notificationSettings',
+  notificationCounts: 'notificationCounts',
+  notifications: 'notifications',
+  heldNotifications: 'heldNotifications', // Pushes waiting for quiet hours to end
+  parties: 'parties', // Keyed by party id, not user id
+  partyPlans: 'partyPlans' // Keyed by party id
+};
+
+const STORE_VERSION = 1;
+
+/**
+ * JSON file backed store. Everything is kept in memory and written back
+ * atomically (temp file + rename) after each change, so data survives restarts.
+ */
+class FileUserStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = {};
+    this.dirty = false;
+    this.writing = null;
+  }
+
+  async init() {
+    try {
+      const fileData = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(fileData);
+      this.data = parsed.collections || {};
+      console.log(`📂 Loaded user data from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        // Refuse to start on a corrupt file rather than overwrite it with empty data
+        throw new Error(`Could not read user store ${this.filePath}: ${error.message}`);
+      }
+      console.log(`📂 No user data file at ${this.filePath}, starting empty`);
+      this.data = {};
+    }
+
+    for (const name of Object.values(COLLECTIONS)) {
+      if (!this.data[name]) this.data[name] = {};
+    }
+  }
+
+  async get(collection, key) {
+    const value = this.collection(collection)[key];
+    return value === undefined ? undefined : structuredClone(value);
+  }
+
+  async set(collection, key, value) {
+    this.collection(collection)[key] = structuredClone(value);
+    await this.persist();
+  }
+
+  /**
+   * Read-modify-write a single entry. `updater` receives the current value
+   * (or undefined) and returns the new one; returning undefined deletes it.
+   */
+  async update(collection, key, updater) {
+    const items = this.collection(collection);
+    const current = items[key] === undefined ? undefined : structuredClone(items[key]);
+    const next = await updater(current);
+
+    if (next === undefined) {
+      delete items[key];
+    } else {
+      items[key] = structuredClone(next);
+    }
+
+    await this.persist();
+    return next;
+  }
+
+  async remove(collection, key) {
+    delete this.collection(collection)[key];
+    await this.persist();
+  }
+
+  async list(collection) {
+    return structuredClone(this.collection(collection));
+  }
+
+  collection(name) {
+    if (!this.data[name]) this.data[name] = {};
+    return this.data[name];
+  }
+
+  persist() {
+    this.dirty = true;
+    if (!this.writing) {
+      this.writing = this.flush().finally(() => {
+        this.writing = null;
+      });
+    }
+    return this.writing;
+  }
+
+  async flush() {
+    // Keep writing until no change arrived during the previous write
+    while (this.dirty) {
+      this.dirty = false;
+      const tempPath = `${this.filePath}.tmp`;
+      const payload = JSON.stringify({ version: STORE_VERSION, collections: this.data });
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, payload);
+      await fs.rename(tempPath, this.filePath);
+    }
+  }
+
+  async close() {
+    if (this.writing) await this.writing;
+  }
+}
+
+/**
+ * Create the store configured through the environment.
+ * USER_STORE=file (default) or USER_STORE=firestore.
+ */
+function createUserStore(type = process.env.USER_STORE || 'file') {
+  if (type === 'firestore') {
+    // Required lazily so file-backed installs never load the Firestore client
+    const FirestoreUserStore = require('./firestoreUserStore');
+    return new FirestoreUserStore({ prefix: process.env.FIRESTORE_COLLECTION_PREFIX });
+  }
+
+  if (type !== 'file') {
+    throw new Error(`Unknown USER_STORE "${type}" (expected "file" or "firestore")`);
+  }
+
+  const filePath = process.env.USER_STORE_PATH || dataPath('user-data.json');
+  return new FileUserStore(filePath);
+}
+
+module.exports = {
+  userStore: createUserStore(),
+  createUserStore,
+  FileUserStore,
+  COLLECTIONS
+};
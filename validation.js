@@ -0,0 +1,429 @@
+// validation.js - Declarative request schemas and the middleware that enforces them
+//
+// A schema lists fields per request part (params, query, body):
+//   { body: { date: { type: 'date', required: true }, travelTime: TRAVEL_TIME } }
+// Field types: string, integer, number, boolean, date (YYYY-MM-DD),
+// instant (ISO 8601 with a timezone), time (HH:MM, 24-hour), timezone (IANA
+// name), locale (BCP 47 tag in a language we have text for), park (id of a
+// park in the registry), enum
+// (`values`), array (`items`),
+// object (`fields`) and map (any keys, each value checked against `of`).
+// Optional fields accept null unless the rule says `nullable: false`.
+const { RULE_TYPES } = require('./alertRules');
+const { NOTIFICATION_TYPES, MESSAGE_TYPES, PRIORITIES, CHANNELS } = require('./notificationSettings');
+const { SUPPORTED_LANGUAGES } = require('./notificationText');
+const parkRegistry = require('./parkRegistry');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+const DEFAULT_MAX_STRING_LENGTH = 200;
+
+/**
+ * Helper: Whether a YYYY-MM-DD string is a real calendar date
+ */
+function isCalendarDate(value) {
+  if (!DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+/**
+ * Helper: Whether Intl knows an IANA timezone name
+ */
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Helper: Whether a BCP 47 tag is well-formed and in a supported language
+ */
+function isSupportedLocale(value) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(value);
+    return SUPPORTED_LANGUAGES.includes(canonical.split('-')[0]);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Query strings arrive as text; turn them into the type the schema expects
+ */
+function coerceQueryValue(value, rule) {
+  if (typeof value !== 'string') return value;
+  if ((rule.type === 'integer' || rule.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Check one value against its rule, appending { field, message } entries to `details`
+ */
+function checkValue(value, rule, field, details) {
+  const fail = message => details.push({ field, message });
+
+  if (value === null && rule.nullable === false && !rule.required) return fail('must not be null');
+  if (value === undefined || value === null) {
+    if (rule.required) fail('is required');
+    return;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.required && value.trim() === '') return fail('must not be empty');
+      if (value.length > (rule.maxLength || DEFAULT_MAX_STRING_LENGTH)) {
+        return fail(`must be at most ${rule.maxLength || DEFAULT_MAX_STRING_LENGTH} characters`);
+      }
+      return;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+      if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return fail(`must be at most ${rule.max}`);
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('must be true or false');
+      return;
+
+    case 'date':
+      if (typeof value !== 'string' || !isCalendarDate(value)) fail('must be a date in YYYY-MM-DD format');
+      return;
+
+    case 'instant':
+      if (typeof value !== 'string' || !INSTANT_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        fail('must be an ISO 8601 date-time with a timezone, e.g. 2025-06-01T14:30:00-07:00');
+      }
+      return;
+
+    case 'time':
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) fail('must be a time in HH:MM (24-hour) format');
+      return;
+
+    case 'timezone':
+      if (typeof value !== 'string' || !isTimeZone(value)) fail('must be an IANA timezone, e.g. America/Los_Angeles');
+      return;
+
+    case 'locale':
+      if (typeof value !== 'string' || !isSupportedLocale(value)) {
+        fail(`must be a locale in one of: ${SUPPORTED_LANGUAGES.join(', ')}, e.g. en-US`);
+      }
+      return;
+
+    case 'park':
+      if (typeof value !== 'string' || !parkRegistry.getPark(value)) fail('must be the id of a park we cover');
+      return;
+
+    case 'enum':
+      if (!rule.values.includes(value)) fail(`must be one of ${rule.values.join(', ')}`);
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} items`);
+      }
+      value.forEach((item, index) => checkValue(item, rule.items, `${field}[${index}]`, details));
+      return;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      checkFields(value, rule.fields, field, details);
+      return;
+
+    case 'map':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      Object.entries(value).forEach(([key, item]) => checkValue(item, rule.of, `${field}.${key}`, details));
+      return;
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${field}`);
+  }
+}
+
+function checkFields(source, fields, prefix, details) {
+  Object.entries(fields).forEach(([name, rule]) => {
+    checkValue(source[name], rule, prefix ? `${prefix}.${name}` : name, details);
+  });
+}
+
+/**
+ * Helper: Send the uniform validation error response
+ */
+function sendValidationError(res, details) {
+  return res.status(400).json({
+    error: 'Invalid request',
+    code: 'VALIDATION_ERROR',
+    details
+  });
+}
+
+/**
+ * Middleware factory: reject requests that don't match `schema` with a 400
+ * listing every problem found
+ */
+function validate(schema) {
+  return function validateRequest(req, res, next) {
+    const details = [];
+
+    if (schema.params) {
+      checkFields(req.params, schema.params, '', details);
+    }
+
+    if (schema.query) {
+      Object.entries(schema.query).forEach(([name, rule]) => {
+        if (req.query[name] !== undefined) req.query[name] = coerceQueryValue(req.query[name], rule);
+      });
+      checkFields(req.query, schema.query, '', details);
+    }
+
+    if (schema.body) {
+      const body = req.body;
+      if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+        details.push({ field: 'body', message: 'must be a JSON object' });
+      } else {
+        checkFields(body, schema.body, '', details);
+      }
+    }
+
+    if (details.length > 0) return sendValidationError(res, details);
+    next();
+  };
+}
+
+/**
+ * Error handler: malformed JSON bodies get the same error shape
+ */
+function handleBodyParseError(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ field: 'body', message: 'must be valid JSON' }]);
+  }
+  next(error);
+}
+
+// Shared field rules
+const ID = { type: 'string', required: true, maxLength: 100 };
+const NAME = { type: 'string', required: true, maxLength: 200 };
+const DATE = { type: 'date', required: true };
+const OPTIONAL_DATE = { type: 'date' };
+const INSTANT = { type: 'instant', required: true };
+const TRAVEL_TIME = { type: 'integer', required: true, min: 0, max: 180 };
+const PARK = { type: 'park' }; // where a schedule item is, for its timezone
+const DISPLAY_NAME = { type: 'string', maxLength: 50 };
+
+const ALERT_RULE = {
+  type: 'object',
+  fields: {
+    type: { type: 'enum', required: true, values: RULE_TYPES },
+    percent: { type: 'integer', min: 1, max: 100 },
+    minutes: { type: 'integer', min: 1, max: 300 }
+  }
+};
+
+/**
+ * Schemas for every route that takes a body, query or date param
+ */
+const schemas = {
+  register: {
+    body: { userId: { type: 'string', maxLength: 128 } }
+  },
+  preferences: {
+    body: {
+      preferences: {
+        type: 'map',
+        required: true,
+        of: {
+          type: 'object',
+          required: true,
+          fields: {
+            enabled: { type: 'boolean' },
+            maxWait: { type: 'integer', min: 0, max: 300 },
+            rules: { type: 'array', maxItems: 10, items: ALERT_RULE }
+          }
+        }
+      }
+    }
+  },
+  registerDevice: {
+    body: {
+      pushToken: { type: 'string', required: true, maxLength: 300 },
+      deviceId: { type: 'string', maxLength: 100 },
+      platform: { type: 'enum', values: ['ios', 'android', 'web'] },
+      appVersion: { type: 'string', maxLength: 50 }
+    }
+  },
+  unregisterDevice: {
+    body: { deviceId: { type: 'string', maxLength: 100 } }
+  },
+  notificationSettings: {
+    body: {
+      quietHours: {
+        type: 'object',
+        fields: {
+          start: { type: 'time', required: true },
+          end: { type: 'time', required: true }
+        }
+      },
+      dailyCap: { type: 'integer', min: 1, max: 100 },
+      types: {
+        type: 'object',
+        nullable: false,
+        fields: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: 'boolean', nullable: false }]))
+      },
+      finalWarningMinutes: { type: 'integer', min: 1, max: 60, nullable: false },
+      timeZone: { type: 'timezone', nullable: false },
+      locale: { type: 'locale', nullable: false },
+      delivery: {
+        type: 'object',
+        nullable: false,
+        fields: Object.fromEntries(MESSAGE_TYPES.map(type => [type, {
+          type: 'object',
+          nullable: false,
+          fields: {
+            priority: { type: 'enum', values: PRIORITIES, nullable: false },
+            channelId: { type: 'enum', values: CHANNELS, nullable: false }
+          }
+        }]))
+      }
+    }
+  },
+  notificationInbox: {
+    query: {
+      limit: { type: 'integer', min: 1, max: 100 },
+      cursor: { type: 'string', maxLength: 100 },
+      unread: { type: 'boolean' }
+    }
+  },
+  markNotification: {
+    body: { read: { type: 'boolean', required: true } }
+  },
+  rideSubscription: {
+    body: {
+      parkId: ID,
+      rideId: ID,
+      once: { type: 'boolean' }
+    }
+  },
+  addShow: {
+    body: {
+      date: DATE,
+      parkId: PARK,
+      showId: ID,
+      showName: NAME,
+      selectedTime: INSTANT,
+      travelTime: TRAVEL_TIME
+    }
+  },
+  addDining: {
+    body: {
+      date: DATE,
+      parkId: PARK,
+      restaurantName: NAME,
+      time: INSTANT,
+      type: { type: 'string', required: true, maxLength: 50 },
+      travelTime: TRAVEL_TIME
+    }
+  },
+  updateDining: {
+    body: {
+      date: DATE,
+      time: { type: 'instant' },
+      type: { type: 'string', maxLength: 50 },
+      travelTime: { ...TRAVEL_TIME, required: false }
+    }
+  },
+  addLightningLane: {
+    body: {
+      date: DATE,
+      parkId: PARK,
+      rideId: ID,
+      rideName: NAME,
+      returnTime: INSTANT,
+      travelTime: TRAVEL_TIME
+    }
+  },
+  lightningLaneWatch: {
+    body: {
+      parkId: ID,
+      rideId: ID,
+      queue: { type: 'enum', values: ['RETURN_TIME', 'PAID_RETURN_TIME'] },
+      returnBefore: { type: 'instant' },
+      notifyOnAvailable: { type: 'boolean' },
+      priceAlerts: { type: 'boolean' }
+    }
+  },
+  createParty: {
+    body: {
+      name: { ...NAME, maxLength: 100 },
+      displayName: DISPLAY_NAME
+    }
+  },
+  joinParty: {
+    body: {
+      code: { type: 'string', required: true, maxLength: 20 },
+      displayName: DISPLAY_NAME
+    }
+  },
+  dayPlan: {
+    query: {
+      date: DATE,
+      parkId: ID,
+      rides: { type: 'string', required: true, maxLength: 2000 },
+      start: { type: 'time' }
+    }
+  },
+  scheduleQuery: {
+    query: { date: OPTIONAL_DATE }
+  },
+  scheduleDelete: {
+    query: { date: DATE }
+  },
+  archiveDelete: {
+    params: { date: DATE }
+  },
+  parkHours: {
+    query: { date: OPTIONAL_DATE }
+  },
+  rideStats: {
+    query: { days: { type: 'integer', min: 7, max: 365 } }
+  },
+  forecastAccuracy: {
+    query: { days: { type: 'integer', min: 1, max: 90 } }
+  },
+  waitTimes: {
+    query: { since: { type: 'integer', min: 0 } }
+  },
+  waitTimeStream: {
+    query: {
+      parks: { type: 'string', maxLength: 500 },
+      rides: { type: 'string', maxLength: 2000 },
+      lastEventId: { type: 'integer', min: 0 }
+    }
+  },
+  lightningLanePrices: {
+    query: {
+      date: OPTIONAL_DATE,
+      days: { type: 'integer', min: 1, max: 365 }
+    }
+  }
+};
+
+module.exports = {
+  validate,
+  sendValidationError,
+  handleBodyParseError,
+  schemas
+};
@@ -0,0 +1,261 @@
+// waitHistory.js - Time-series store of ride waits recorded on every refresh
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const readline = require('readline');
+const { getLocalParts } = require('./parkTime');
+const parkRegistry = require('./parkRegistry');
+const { dataPath } = require('./dataDir');
+
+const MINUTE_RETENTION_DAYS = 7;
+const HISTOGRAM_BUCKET_MINUTES = 5;
+const MONTH_CACHE_SIZE = 13; // the longest stats window, 365 days, touches 13 months
+
+/**
+ * Minute samples are appended to one NDJSON file per park-local day and kept
+ * for a week. Once a day is over it is rolled up into hourly aggregates (one
+ * JSON file per month) which are kept forever.
+ */
+class WaitHistory {
+  constructor(baseDir = process.env.WAIT_HISTORY_DIR || dataPath('wait-history')) {
+    this.baseDir = baseDir;
+    this.minuteDir = path.join(baseDir, 'minute');
+    this.hourlyDir = path.join(baseDir, 'hourly');
+    this.appendQueue = Promise.resolve();
+    this.monthCache = new Map();
+  }
+
+  /**
+   * Append the current state of every ride in a park
+   */
+  record(parkId, lands, timestamp = new Date()) {
+    const recordedAt = new Date(timestamp);
+    const { date } = getLocalParts(recordedAt, parkRegistry.getTimezone(parkId));
+    const lines = [];
+
+    Object.values(lands).forEach(landRides => {
+      landRides.forEach(ride => {
+        lines.push(JSON.stringify({
+          t: recordedAt.toISOString(),
+          park: parkId,
+          ride: ride.id,
+          name: ride.name,
+          wait: ride.currentWait,
+          status: ride.status,
+          returnTime: ride.returnTime,
+          paidReturnPrice: ride.paidReturnPrice
+        }));
+      });
+    });
+
+    if (lines.length === 0) return this.appendQueue;
+
+    // Serialize appends so concurrent refreshes never interleave partial lines
+    this.appendQueue = this.appendQueue.then(async () => {
+      await fsp.mkdir(this.minuteDir, { recursive: true });
+      await fsp.appendFile(this.minuteFile(date), lines.join('\n') + '\n');
+    }).catch(error => {
+      console.error('Error recording wait history:', error.message);
+    });
+
+    return this.appendQueue;
+  }
+
+  /**
+   * Read raw minute samples for one park-local day, optionally for one ride
+   */
+  async getMinuteSamples(date, { parkId, rideId } = {}) {
+    const samples = [];
+    await this.readDay(date, sample => {
+      if (parkId && sample.park !== parkId) return;
+      if (rideId && sample.ride !== rideId) return;
+      samples.push(sample);
+    });
+    return samples;
+  }
+
+  /**
+   * Hourly aggregates for one ride between two park-local dates (inclusive)
+   */
+  async getHourlyAggregates(rideId, fromDate, toDate) {
+    const results = [];
+    for (const month of this.monthsBetween(fromDate, toDate)) {
+      const monthData = await this.loadMonth(month);
+      const ride = monthData.rides[rideId];
+      const days = ride?.days || {};
+
+      Object.entries(days).forEach(([date, hours]) => {
+        if (date < fromDate || date > toDate) return;
+        Object.entries(hours).forEach(([hour, aggregate]) => {
+          results.push({ date, hour: parseInt(hour, 10), park: ride.park, ...aggregate });
+        });
+      });
+    }
+
+    return results.sort((a, b) => a.date.localeCompare(b.date) || a.hour - b.hour);
+  }
+
+  /**
+   * Roll finished days up into hourly aggregates and drop expired minute files
+   */
+  async downsample(now = new Date()) {
+    // A day is only finished once it has ended in every park's timezone
+    const today = parkRegistry.getParks()
+      .map(park => getLocalParts(now, park.timezone).date)
+      .reduce((earliest, date) => (date < earliest ? date : earliest), getLocalParts(now).date);
+    let files = [];
+    try {
+      files = await fsp.readdir(this.minuteDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const cutoff = new Date(now.getTime() - MINUTE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const cutoffDate = getLocalParts(cutoff).date;
+
+    for (const file of files.filter(f => f.endsWith('.ndjson')).sort()) {
+      const date = file.replace('.ndjson', '');
+      if (date >= today) continue;
+
+      const month = date.slice(0, 7);
+      const monthData = structuredClone(await this.loadMonth(month));
+      if (!monthData.aggregatedDays.includes(date)) {
+        await this.aggregateDay(date, monthData);
+        monthData.aggregatedDays.push(date);
+        await this.saveMonth(month, monthData);
+        console.log(`📊 Aggregated wait history for ${date}`);
+      }
+
+      if (date < cutoffDate) {
+        await fsp.unlink(this.minuteFile(date));
+        console.log(`🗑️  Removed minute wait history for ${date}`);
+      }
+    }
+  }
+
+  async aggregateDay(date, monthData) {
+    await this.readDay(date, sample => {
+      const { hour } = getLocalParts(new Date(sample.t), parkRegistry.getTimezone(sample.park));
+      const ride = monthData.rides[sample.ride] || (monthData.rides[sample.ride] = {
+        park: sample.park,
+        name: sample.name,
+        days: {}
+      });
+      const day = ride.days[date] || (ride.days[date] = {});
+      const aggregate = day[hour] || (day[hour] = {
+        samples: 0,
+        operatingSamples: 0,
+        sum: 0,
+        min: null,
+        max: null,
+        histogram: {},
+        statuses: {}
+      });
+
+      aggregate.samples++;
+      aggregate.statuses[sample.status] = (aggregate.statuses[sample.status] || 0) + 1;
+
+      // Only operating rides have meaningful waits
+      if (sample.status === 'OPERATING' && typeof sample.wait === 'number') {
+        const bucket = Math.floor(sample.wait / HISTOGRAM_BUCKET_MINUTES) * HISTOGRAM_BUCKET_MINUTES;
+        aggregate.operatingSamples++;
+        aggregate.sum += sample.wait;
+        aggregate.min = aggregate.min === null ? sample.wait : Math.min(aggregate.min, sample.wait);
+        aggregate.max = aggregate.max === null ? sample.wait : Math.max(aggregate.max, sample.wait);
+        aggregate.histogram[bucket] = (aggregate.histogram[bucket] || 0) + 1;
+      }
+    });
+  }
+
+  async readDay(date, onSample) {
+    const file = this.minuteFile(date);
+    if (!fs.existsSync(file)) return;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(file),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        onSample(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-append can leave one truncated line; skip it
+      }
+    }
+  }
+
+  /**
+   * Rides with hourly aggregates in a month, as { rideId: { park, name } }
+   */
+  async getRidesForMonth(month) {
+    const monthData = await this.loadMonth(month);
+    const rides = {};
+    Object.entries(monthData.rides).forEach(([rideId, ride]) => {
+      rides[rideId] = { park: ride.park, name: ride.name };
+    });
+    return rides;
+  }
+
+  async loadMonth(month) {
+    // Month files are read on every stats request, so keep the recent ones parsed
+    // Callers must treat the result as read-only
+    if (this.monthCache.has(month)) {
+      return this.monthCache.get(month);
+    }
+
+    let monthData;
+    try {
+      const fileData = await fsp.readFile(path.join(this.hourlyDir, `${month}.json`), 'utf8');
+      monthData = JSON.parse(fileData);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return { aggregatedDays: [], rides: {} };
+    }
+
+    this.cacheMonth(month, monthData);
+    return monthData;
+  }
+
+  async saveMonth(month, monthData) {
+    const file = path.join(this.hourlyDir, `${month}.json`);
+    await fsp.mkdir(this.hourlyDir, { recursive: true });
+    await fsp.writeFile(`${file}.tmp`, JSON.stringify(monthData));
+    await fsp.rename(`${file}.tmp`, file);
+    this.cacheMonth(month, monthData);
+  }
+
+  cacheMonth(month, monthData) {
+    this.monthCache.delete(month);
+    this.monthCache.set(month, monthData);
+    if (this.monthCache.size > MONTH_CACHE_SIZE) {
+      this.monthCache.delete(this.monthCache.keys().next().value);
+    }
+  }
+
+  monthsBetween(fromDate, toDate) {
+    const months = [];
+    let [year, month] = fromDate.slice(0, 7).split('-').map(Number);
+    const end = toDate.slice(0, 7);
+
+    while (true) {
+      const key = `${year}-${String(month).padStart(2, '0')}`;
+      if (key > end) break;
+      months.push(key);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return months;
+  }
+
+  minuteFile(date) {
+    return path.join(this.minuteDir, `${date}.ndjson`);
+  }
+}
+
+module.exports = new WaitHistory();
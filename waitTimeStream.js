@@ -0,0 +1,162 @@
+// waitTimeStream.js - Pushes changed rides to Server-Sent Events subscribers after each refresh
+
+// Proxies (Heroku's router included) drop connections idle for ~55s
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+// How many past events are kept for clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 5000;
+const MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS, 10) || 1000;
+
+/**
+ * Helper: Flatten a park's lands into rides tagged with their land
+ */
+function flattenRides(lands) {
+  const rides = [];
+  Object.entries(lands).forEach(([landName, landRides]) => {
+    landRides.forEach(ride => rides.push({ ...ride, land: landName }));
+  });
+  return rides;
+}
+
+/**
+ * Diffs each refresh against the last one per park and fans the changed rides
+ * out to connected clients. Event ids keep increasing across restarts (they
+ * start at the boot time in ms), so a client reconnecting with an id from a
+ * previous process, or one older than the replay buffer, gets a fresh
+ * snapshot instead of a partial replay.
+ */
+class WaitTimeStream {
+  constructor() {
+    this.lastEventId = Date.now();
+    this.events = []; // [{ id, parkId, lastUpdated, rides }]
+    this.current = {}; // { parkId: { lastUpdated, rides: { rideId: ride } } }
+    this.clients = new Set(); // { res, parks: Set|null, rides: Set|null }
+    this.heartbeat = null;
+  }
+
+  /**
+   * Record a park refresh and send its changed rides to matching clients
+   */
+  publish(parkId, lands, lastUpdated) {
+    const previous = this.current[parkId]?.rides || {};
+    const rides = {};
+    const changed = [];
+
+    flattenRides(lands).forEach(ride => {
+      rides[ride.id] = ride;
+      const before = previous[ride.id];
+      if (!before || JSON.stringify(before) !== JSON.stringify(ride)) {
+        changed.push(ride);
+      }
+    });
+
+    this.current[parkId] = { lastUpdated, rides };
+    if (changed.length === 0) return;
+
+    const event = { id: ++this.lastEventId, parkId, lastUpdated, rides: changed };
+    this.events.push(event);
+    if (this.events.length > REPLAY_BUFFER_SIZE) this.events.shift();
+
+    this.clients.forEach(client => this.sendRides(client, event));
+  }
+
+  /**
+   * Attach an SSE response. `parks` and `rides` are optional id lists; the
+   * client only hears about rides matching both.
+   */
+  subscribe(req, res, { parks, rides, lastEventId }) {
+    if (this.clients.size >= MAX_CLIENTS) {
+      return res.status(503).json({ error: 'Too many stream connections' });
+    }
+
+    const client = {
+      res,
+      parks: parks?.length ? new Set(parks) : null,
+      rides: rides?.length ? new Set(rides) : null
+    };
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx-style proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const oldestBuffered = this.events[0]?.id;
+    const canReplay = lastEventId !== undefined &&
+      lastEventId <= this.lastEventId &&
+      oldestBuffered !== undefined &&
+      lastEventId >= oldestBuffered - 1;
+
+    if (canReplay) {
+      this.events
+        .filter(event => event.id > lastEventId)
+        .forEach(event => this.sendRides(client, event));
+    } else if (lastEventId !== this.lastEventId) {
+      this.sendSnapshot(client);
+    }
+
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  matches(client, parkId, rideId) {
+    return (!client.parks || client.parks.has(parkId)) &&
+      (!client.rides || client.rides.has(rideId));
+  }
+
+  sendRides(client, event) {
+    const rides = event.rides.filter(ride => this.matches(client, event.parkId, ride.id));
+    if (rides.length === 0) return;
+
+    this.write(client, event.id, 'rides', {
+      parkId: event.parkId,
+      lastUpdated: event.lastUpdated,
+      rides
+    });
+  }
+
+  /**
+   * Full current state for the client's filter, used on first connect and
+   * whenever a replay isn't possible
+   */
+  sendSnapshot(client) {
+    const parks = {};
+    Object.entries(this.current).forEach(([parkId, park]) => {
+      const rides = Object.values(park.rides).filter(ride => this.matches(client, parkId, ride.id));
+      if (rides.length > 0) {
+        parks[parkId] = { lastUpdated: park.lastUpdated, rides };
+      }
+    });
+
+    this.write(client, this.lastEventId, 'snapshot', { parks });
+  }
+
+  write(client, id, eventName, data) {
+    client.res.write(`id: ${id}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+module.exports = new WaitTimeStream();